@@ -0,0 +1,140 @@
+/* ============================================================
+   MOCK SYNC SERVER
+   A small in-memory REST backend for trying and testing sync.
+   Run with `node mock-server.js [port]` (default 3001), then
+   enter http://localhost:3001 as the sync server in the app.
+   ============================================================ */
+
+const http = require("http");
+
+const port = Number(process.argv[2] || process.env.PORT || 3001);
+
+// Task ID -> { task, revision, updatedAt, deleted }
+const records = new Map();
+
+/**
+ * Sends a JSON response with CORS headers (the app runs on another port).
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body (empty body -> {}).
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let raw = "";
+    request.on("data", (chunk) => {
+      raw += chunk;
+    });
+    request.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Formats a stored record as the task clients receive.
+ */
+function toTask(record) {
+  return {
+    ...record.task,
+    revision: record.revision,
+    updatedAt: record.updatedAt,
+  };
+}
+
+/**
+ * Answers 409 with the server's copy (null once deleted) and its revision.
+ */
+function sendConflict(response, record) {
+  sendJson(response, 409, {
+    task: record && !record.deleted ? toTask(record) : null,
+    revision: record ? record.revision : 0,
+  });
+}
+
+/**
+ * GET /tasks             -> 200 [task]
+ * PUT /tasks/:id         { task, baseRevision } -> 200 { task } or 409
+ * DELETE /tasks/:id      { baseRevision } -> 204, 404 or 409
+ * A write is accepted only when baseRevision matches the stored revision
+ * (0 for a task the server has never seen).
+ */
+async function handleRequest(request, response) {
+  if (request.method === "OPTIONS") {
+    sendJson(response, 204);
+    return;
+  }
+
+  const url = new URL(request.url, `http://localhost:${port}`);
+  if (url.pathname === "/tasks" && request.method === "GET") {
+    const tasks = Array.from(records.values())
+      .filter((record) => !record.deleted)
+      .map(toTask);
+    sendJson(response, 200, tasks);
+    return;
+  }
+
+  const match = url.pathname.match(/^\/tasks\/(\d+)$/);
+  if (!match || !["PUT", "DELETE"].includes(request.method)) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+
+  const taskId = Number(match[1]);
+  const record = records.get(taskId);
+  const currentRevision = record ? record.revision : 0;
+  const body = await readBody(request);
+
+  if (request.method === "DELETE" && (!record || record.deleted)) {
+    sendJson(response, 404, { error: "Not found" });
+    return;
+  }
+  if (body.baseRevision !== currentRevision) {
+    sendConflict(response, record);
+    return;
+  }
+
+  const updatedAt = new Date().toISOString();
+  if (request.method === "DELETE") {
+    records.set(taskId, {
+      task: null,
+      revision: currentRevision + 1,
+      updatedAt: updatedAt,
+      deleted: true,
+    });
+    sendJson(response, 204);
+    return;
+  }
+
+  const nextRecord = {
+    task: { ...body.task, id: taskId },
+    revision: currentRevision + 1,
+    updatedAt: updatedAt,
+    deleted: false,
+  };
+  records.set(taskId, nextRecord);
+  sendJson(response, 200, { task: toTask(nextRecord) });
+}
+
+http
+  .createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+      sendJson(response, 400, { error: error.message });
+    });
+  })
+  .listen(port, () => {
+    console.log(`Mock sync server listening on http://localhost:${port}`);
+  });
@@ -1,736 +1,9662 @@
 /* ============================================================
    TASK MANAGER APPLICATION
    Organized into modules:
-   1. TASKS MODULE - Data management and business logic
-   2. DOM MODULE - All DOM manipulations and updates
-   3. UI MODULE - User interactions and event coordination
+   1. STORAGE MODULE - Persistence adapters and schema migrations
+   2. SYNC MODULE - REST sync client and offline queue
+   3. TASKS MODULE - Data management and business logic
+   4. TRANSFER MODULE - Import and export of task data
+   5. DOM MODULE - All DOM manipulations and updates
+   6. UI MODULE - User interactions and event coordination
    ============================================================ */
 
 /* ============================================================
-   TASKS MODULE
-   Handles task data, validation, and business logic
+   STORAGE MODULE
+   Handles persistence backends and task schema versioning
    ============================================================ */
 
-const TasksModule = (() => {
-  // Task Data Storage
-  let tasks = [];
-  const defaultCategories = ["Work", "Personal", "Shopping", "Fitness"];
+const StorageModule = (() => {
+  // Storage Settings
+  const STORAGE_KEY = "taskManager.state";
+  const DB_NAME = "taskManager";
+  const DB_STORE = "state";
+  const SCHEMA_VERSION = 12;
+  const PREFERENCE_PREFIX = "taskManager.pref.";
+  const DEFAULT_LIST_ID = 1; // List that tasks from before lists existed go to
 
-  // Application State
-  let editingTaskId = null;
-  let sortAscending = true;
+  let adapter = null;
 
   /**
-   * Gets the current editing task ID.
+   * Upgrade steps for stored data, keyed by the version they produce.
+   * Each step receives data at the previous version and returns the next.
    */
-  function getEditingTaskId() {
-    return editingTaskId;
-  }
+  const migrations = {
+    // v0 -> v1: plain task array becomes a versioned payload with normalized tasks
+    1: (data) => ({
+      version: 1,
+      tasks: data.tasks.map((task) => ({
+        id: Number(task.id),
+        name: String(task.name || ""),
+        category: String(task.category || "").toLowerCase(),
+        priority: task.priority || "low",
+        dueDate: task.dueDate || "",
+        description: task.description || "",
+        completed: Boolean(task.completed),
+      })),
+    }),
+    // v1 -> v2: completion timestamp
+    2: (data) => ({
+      version: 2,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        completedAt: task.completed ? new Date().toISOString() : null,
+      })),
+    }),
+    // v2 -> v3: repeat rules
+    3: (data) => ({
+      version: 3,
+      tasks: data.tasks.map((task) => ({ ...task, recurrence: null })),
+    }),
+    // v3 -> v4: creation time, taken from the timestamp-based ID
+    4: (data) => ({
+      version: 4,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        createdAt: new Date(
+          isNaN(new Date(task.id)) ? 0 : task.id
+        ).toISOString(),
+      })),
+    }),
+    // v4 -> v5: checklist items
+    5: (data) => ({
+      version: 5,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        checklist: [],
+        autoCompleteChecklist: false,
+      })),
+    }),
+    // v5 -> v6: reminders before the due time
+    6: (data) => ({
+      version: 6,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        reminders: [],
+        snoozedUntil: null,
+      })),
+    }),
+    // v6 -> v7: workflow status for the board view
+    7: (data) => ({
+      version: 7,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        status: task.completed ? "done" : "todo",
+      })),
+    }),
+    // v7 -> v8: free-form tags
+    8: (data) => ({
+      ...data,
+      version: 8,
+      tasks: data.tasks.map((task) => ({ ...task, tags: [] })),
+    }),
+    // v8 -> v9: prerequisite task IDs
+    9: (data) => ({
+      ...data,
+      version: 9,
+      tasks: data.tasks.map((task) => ({ ...task, dependsOn: [] })),
+    }),
+    // v9 -> v10: time tracking
+    10: (data) => ({
+      ...data,
+      version: 10,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        timeEntries: [],
+        estimateMinutes: null,
+      })),
+    }),
+    // v10 -> v11: named task lists
+    11: (data) => ({
+      ...data,
+      version: 11,
+      tasks: data.tasks.map((task) => ({ ...task, listId: DEFAULT_LIST_ID })),
+    }),
+    // v11 -> v12: archive and trash
+    12: (data) => ({
+      ...data,
+      version: 12,
+      tasks: data.tasks.map((task) => ({
+        ...task,
+        archivedAt: null,
+        deletedAt: null,
+      })),
+    }),
+  };
 
   /**
-   * Sets the editing task ID.
+   * Values the migrations above give tasks saved before each field existed.
+   * Keep in step with new migrations.
    */
-  function setEditingTaskId(id) {
-    editingTaskId = id;
+  function getTaskDefaults(task) {
+    return {
+      description: "",
+      completed: false,
+      completedAt: null,
+      recurrence: null,
+      createdAt: new Date(isNaN(new Date(task.id)) ? 0 : task.id).toISOString(),
+      checklist: [],
+      autoCompleteChecklist: false,
+      reminders: [],
+      snoozedUntil: null,
+      status: task.completed ? "done" : "todo",
+      tags: [],
+      dependsOn: [],
+      timeEntries: [],
+      estimateMinutes: null,
+      listId: DEFAULT_LIST_ID,
+      archivedAt: null,
+      deletedAt: null,
+    };
   }
 
   /**
-   * Gets the current sort order.
+   * Brings one task from outside local storage (e.g. the sync server) to
+   * the current schema: missing fields get the migrations' defaults.
    */
-  function getSortAscending() {
-    return sortAscending;
+  function normalizeTask(task) {
+    const defaults = getTaskDefaults(task);
+    const normalized = { ...task };
+    Object.keys(defaults).forEach((field) => {
+      if (normalized[field] === undefined || normalized[field] === null) {
+        normalized[field] = defaults[field];
+      }
+    });
+    if (typeof normalized.category === "string") {
+      normalized.category = normalized.category.toLowerCase();
+    }
+    return normalized;
   }
 
   /**
-   * Toggles the sort order.
+   * Creates a storage adapter backed by window.localStorage.
    */
-  function toggleSortAscending() {
-    sortAscending = !sortAscending;
-    return sortAscending;
+  function createLocalStorageAdapter(key = STORAGE_KEY) {
+    return {
+      name: "localStorage",
+      async load() {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+      },
+      async save(data) {
+        window.localStorage.setItem(key, JSON.stringify(data));
+      },
+    };
   }
 
   /**
-   * Builds a unique, sorted list of categories from defaults and existing tasks.
+   * Creates a storage adapter backed by IndexedDB.
    */
-  function getAvailableCategories() {
-    const normalizedDefaults = defaultCategories.map((cat) =>
-      cat.toLowerCase()
-    );
-    const taskCategories = tasks.map((task) => task.category.toLowerCase());
-    const allCategories = new Set([...normalizedDefaults, ...taskCategories]);
-    console.log("All Categories:", allCategories);
-    return Array.from(allCategories).sort();
-  }
+  function createIndexedDbAdapter(dbName = DB_NAME) {
+    let dbPromise = null;
 
-  /**
-   * Checks if a task name already exists (case-insensitive).
-   */
-  function isTaskNameDuplicate(taskName, excludeTaskId = null) {
-    const normalizedName = taskName.toLowerCase();
-    return tasks.some(
-      (task) =>
-        task.name.toLowerCase() === normalizedName && task.id !== excludeTaskId
-    );
+    function openDatabase() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = window.indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE);
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    }
+
+    function runRequest(mode, operation) {
+      return openDatabase().then(
+        (db) =>
+          new Promise((resolve, reject) => {
+            const transaction = db.transaction(DB_STORE, mode);
+            const request = operation(transaction.objectStore(DB_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // e.g. QuotaExceededError aborts without a request error
+            transaction.onabort = () => reject(transaction.error);
+          })
+      );
+    }
+
+    return {
+      name: "indexedDB",
+      async load() {
+        const data = await runRequest("readonly", (store) =>
+          store.get(STORAGE_KEY)
+        );
+        return data || null;
+      },
+      async save(data) {
+        await runRequest("readwrite", (store) => store.put(data, STORAGE_KEY));
+      },
+    };
   }
 
   /**
-   * Validates that a task name only includes letters, numbers, and spaces.
+   * Picks IndexedDB when the browser supports it, otherwise localStorage.
    */
-  function validateTaskName(taskName) {
-    const validPattern = /^[a-zA-Z0-9\s]+$/;
-    return validPattern.test(taskName);
+  function createDefaultAdapter() {
+    return window.indexedDB
+      ? createIndexedDbAdapter()
+      : createLocalStorageAdapter();
   }
 
   /**
-   * Validates that a description contains only text, digits, spaces, and basic punctuation.
+   * Gets the active storage adapter, creating the default one on first use.
    */
-  function validateDescription(description) {
-    const validPattern = /^[a-zA-Z0-9\s\.,!?\-']+$/;
-    return validPattern.test(description);
+  function getAdapter() {
+    if (!adapter) {
+      adapter = createDefaultAdapter();
+    }
+    return adapter;
   }
 
   /**
-   * Adds a new task to the tasks array.
+   * Replaces the active storage adapter.
+   * Adapters expose async load() and save(data) methods.
    */
-  function addTask(name, category, priority, dueDate, description) {
-    tasks.push({
-      id: Date.now(),
-      name: name,
-      category: category,
-      priority: priority,
-      dueDate: dueDate,
-      description: description,
-      completed: false,
-    });
+  function setAdapter(newAdapter) {
+    adapter = newAdapter;
   }
 
   /**
-   * Updates an existing task in the tasks array.
+   * Brings stored data up to the current schema version.
    */
-  function updateTask(taskId, name, category, priority, dueDate, description) {
-    const taskIndex = tasks.findIndex((task) => task.id === taskId);
-    if (taskIndex !== -1) {
-      tasks[taskIndex] = {
-        ...tasks[taskIndex],
-        name: name,
-        category: category,
-        priority: priority,
-        dueDate: dueDate,
-        description: description,
-      };
+  function migrate(data) {
+    let migrated = Array.isArray(data) ? { version: 0, tasks: data } : data;
+    if (!migrated.version) {
+      migrated = { ...migrated, version: 0, tasks: migrated.tasks || [] };
     }
-  }
 
-  /**
-   * Removes a task from the tasks array.
-   */
-  function removeTask(taskId) {
-    tasks = tasks.filter((task) => task.id !== taskId);
+    if (migrated.version > SCHEMA_VERSION) {
+      throw new Error(
+        `Stored data version ${migrated.version} is newer than supported version ${SCHEMA_VERSION}`
+      );
+    }
+
+    while (migrated.version < SCHEMA_VERSION) {
+      migrated = migrations[migrated.version + 1](migrated);
+    }
+    return migrated;
   }
 
   /**
-   * Gets a task by its ID.
+   * Loads stored data ({ tasks, categories, lists }) from the active adapter,
+   * migrating it if needed. Categories and lists are null until first saved.
    */
-  function getTaskById(taskId) {
-    return tasks.find((task) => task.id === taskId);
+  async function loadState() {
+    let data;
+    try {
+      data = await getAdapter().load();
+    } catch (error) {
+      // IndexedDB can be unavailable (e.g. private browsing); fall back
+      if (getAdapter().name === "localStorage") {
+        throw error;
+      }
+      console.error("Storage backend failed, using localStorage:", error);
+      adapter = createLocalStorageAdapter();
+      data = await adapter.load();
+    }
+    if (!data) {
+      return { tasks: [], categories: null, lists: null };
+    }
+    const migrated = migrate(data);
+    return {
+      tasks: migrated.tasks,
+      categories: migrated.categories || null,
+      lists: migrated.lists || null,
+    };
   }
 
   /**
-   * Gets filtered and sorted tasks based on current settings.
+   * Saves tasks, categories and lists through the active adapter
+   * at the current schema version.
    */
-  function getFilteredTasks(categoryFilter) {
-    let filteredTasks =
-      categoryFilter === "all"
-        ? [...tasks]
-        : tasks.filter((task) => task.category === categoryFilter);
-
-    filteredTasks.sort((a, b) => {
-      const dateA = new Date(a.dueDate);
-      const dateB = new Date(b.dueDate);
-      return sortAscending ? dateA - dateB : dateB - dateA;
+  async function saveState(state) {
+    await getAdapter().save({
+      version: SCHEMA_VERSION,
+      tasks: state.tasks,
+      categories: state.categories,
+      lists: state.lists,
     });
-
-    return filteredTasks;
   }
 
   /**
-   * Calculates the human-readable time remaining until a due date.
+   * Reads a small UI preference (e.g. sort order) saved in localStorage.
    */
-  function getTimeRemaining(dueDate) {
-    const now = new Date();
-    const diff = dueDate - now;
-
-    if (diff <= 0) {
-      return "Overdue";
-    }
-
-    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-    const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-
-    if (days > 0) {
-      return `${days}d ${hours}h ${minutes}m`;
-    } else if (hours > 0) {
-      return `${hours}h ${minutes}m`;
-    } else {
-      return `${minutes}m`;
+  function loadPreference(name, fallback) {
+    try {
+      const raw = window.localStorage.getItem(PREFERENCE_PREFIX + name);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      console.error(`Failed to read preference "${name}":`, error);
+      return fallback;
     }
   }
 
   /**
-   * Checks if a task is overdue.
+   * Saves a small UI preference in localStorage.
    */
-  function isTaskOverdue(dueDate) {
-    return new Date(dueDate) < new Date();
+  function savePreference(name, value) {
+    try {
+      window.localStorage.setItem(
+        PREFERENCE_PREFIX + name,
+        JSON.stringify(value)
+      );
+    } catch (error) {
+      console.error(`Failed to save preference "${name}":`, error);
+    }
   }
 
   // Return public API
   return {
-    getEditingTaskId,
-    setEditingTaskId,
-    getSortAscending,
-    toggleSortAscending,
-    getAvailableCategories,
-    isTaskNameDuplicate,
-    validateTaskName,
-    validateDescription,
-    addTask,
-    updateTask,
-    removeTask,
-    getTaskById,
-    getFilteredTasks,
-    getTimeRemaining,
-    isTaskOverdue,
+    SCHEMA_VERSION,
+    DEFAULT_LIST_ID,
+    createLocalStorageAdapter,
+    createIndexedDbAdapter,
+    getAdapter,
+    setAdapter,
+    migrate,
+    loadState,
+    normalizeTask,
+    saveState,
+    loadPreference,
+    savePreference,
   };
 })();
 
 /* ============================================================
-   DOM MODULE
-   Handles all DOM manipulations and updates
+   SYNC MODULE
+   REST client, offline queue and conflict records for a
+   shared task list
    ============================================================ */
 
-const DomModule = (() => {
-  // DOM Element References
-  const addTaskBtn = document.getElementById("addTaskBtn");
-  const taskForm = document.getElementById("taskForm");
-  const categoryFilter = document.getElementById("categoryFilter");
-  const taskCategory = document.getElementById("taskCategory");
-  const cancelBtn = document.getElementById("cancelBtn");
-  const taskListView = document.getElementById("taskListView");
-  const taskFormView = document.getElementById("taskFormView");
-  const submitButton = taskForm.querySelector('button[type="submit"]');
-  const sortByDueDateBtn = document.getElementById("sortByDueDate");
-  const taskNameInput = document.getElementById("taskName");
-  const taskDescriptionInput = document.getElementById("taskDescription");
+const SyncModule = (() => {
+  // Sync Settings
+  const REQUEST_TIMEOUT_MS = 10000;
 
-  // Error Message Elements
-  const taskNameEmptyError = document.getElementById("taskNameEmptyError");
-  const taskNamePatternError = document.getElementById("taskNamePatternError");
-  const taskNameDuplicateError = document.getElementById(
-    "taskNameDuplicateError"
-  );
-  const taskDescriptionError = document.getElementById("taskDescriptionError");
+  let endpoint = ""; // Base URL, e.g. "http://localhost:3001"; "" = off
+  let revisionsEndpoint = ""; // Server the revisions below belong to
+  let revisions = new Map(); // Task ID -> last server revision seen
+  let queue = new Map(); // Task ID -> local change count not yet pushed
+  let conflicts = []; // { taskId, remote, revision }; remote null = deleted
+  let status = { state: "off", lastSyncedAt: null, message: "" };
 
   /**
-   * Capitalizes the first letter of a string.
+   * Restores the endpoint, revisions, queue and conflicts saved earlier.
    */
-  function capitalizeFirst(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+  function restore() {
+    reload();
+    status = { ...status, state: endpoint ? "idle" : "off" };
   }
 
   /**
-   * Shows the task form view and hides the task list view.
+   * Re-reads the saved bookkeeping. All tabs share one saved copy, so every
+   * change reloads it first and never drops what another tab queued.
    */
-  function showTaskFormView() {
-    taskFormView.style.display = "block";
-    taskListView.style.display = "none";
+  function reload() {
+    const saved = StorageModule.loadPreference("sync", {});
+    endpoint = saved.endpoint || "";
+    revisionsEndpoint = saved.revisionsEndpoint || endpoint;
+    revisions = new Map(saved.revisions || []);
+    queue = new Map(saved.queue || []);
+    conflicts = saved.conflicts || [];
+    if (!endpoint) {
+      status = { ...status, state: "off" };
+    } else if (status.state === "off") {
+      status = { ...status, state: "idle" };
+    }
   }
 
   /**
-   * Shows the task list view and hides the task form view.
+   * Saves the sync bookkeeping so queued changes survive reloads.
    */
-  function showTaskListView() {
-    taskFormView.style.display = "none";
-    taskListView.style.display = "block";
+  function persist() {
+    StorageModule.savePreference("sync", {
+      endpoint: endpoint,
+      revisionsEndpoint: revisionsEndpoint,
+      revisions: Array.from(revisions),
+      queue: Array.from(queue),
+      conflicts: conflicts,
+    });
   }
 
   /**
-   * Populates the category dropdown in the task form.
+   * Gets the configured endpoint ("" when sync is off).
    */
-  function updateCategorySelect() {
-    const categories = TasksModule.getAvailableCategories();
-    console.log("Available Categories:", categories);
-    taskCategory.innerHTML = '<option value="">Select category</option>';
+  function getEndpoint() {
+    return endpoint;
+  }
 
-    categories.forEach((category) => {
-      const option = document.createElement("option");
-      option.value = category;
-      option.textContent = capitalizeFirst(category);
-      taskCategory.appendChild(option);
-    });
+  /**
+   * Validates that an endpoint is empty or an http(s) URL.
+   */
+  function validateEndpoint(url) {
+    return url === "" || /^https?:\/\/\S+$/.test(url);
   }
 
   /**
-   * Refreshes the category filter dropdown.
+   * Sets the endpoint ("" turns sync off). Switching to another server
+   * forgets the old server's revisions and conflicts, so every local task
+   * is pushed to the new one.
    */
-  function updateCategoryFilter() {
-    const categories = TasksModule.getAvailableCategories();
-    const currentValue = categoryFilter.value;
-    categoryFilter.innerHTML = '<option value="all">All</option>';
+  function setEndpoint(url) {
+    const normalized = url.trim().replace(/\/+$/, "");
+    reload();
+    if (normalized && normalized !== revisionsEndpoint) {
+      revisions = new Map();
+      conflicts = [];
+      revisionsEndpoint = normalized;
+    }
+    endpoint = normalized;
+    status = {
+      state: endpoint ? "idle" : "off",
+      lastSyncedAt: null,
+      message: "",
+    };
+    persist();
+  }
 
-    categories.forEach((category) => {
-      const option = document.createElement("option");
-      option.value = category;
-      option.textContent = capitalizeFirst(category);
-      categoryFilter.appendChild(option);
-    });
+  /**
+   * Checks whether an endpoint is configured.
+   */
+  function isEnabled() {
+    return endpoint !== "";
+  }
 
-    categoryFilter.value = currentValue;
+  /**
+   * Gets the sync status ({ state, lastSyncedAt, message }).
+   * state is "off", "idle", "syncing", "offline" or "error".
+   */
+  function getStatus() {
+    return { ...status, pending: queue.size, conflicts: conflicts.length };
   }
 
   /**
-   * Hides all task name error messages.
+   * Updates the sync status.
    */
-  function hideTaskNameErrors() {
-    taskNameEmptyError.style.display = "none";
-    taskNamePatternError.style.display = "none";
-    taskNameDuplicateError.style.display = "none";
-    taskNameInput.classList.remove("is-invalid");
+  function setStatus(state, message = "") {
+    status = {
+      state: state,
+      lastSyncedAt:
+        state === "idle" ? new Date().toISOString() : status.lastSyncedAt,
+      message: message,
+    };
   }
 
   /**
-   * Shows the empty task name error.
+   * Queues a local change of a task (edit, add or delete) for the next push.
    */
-  function showEmptyNameError() {
-    taskNameInput.classList.add("is-invalid");
-    taskNameEmptyError.style.display = "block";
-    taskNamePatternError.style.display = "none";
-    taskNameDuplicateError.style.display = "none";
+  function queueTask(taskId) {
+    reload();
+    queue.set(taskId, (queue.get(taskId) || 0) + 1);
+    persist();
   }
 
   /**
-   * Shows the invalid pattern error for task name.
+   * Checks whether a task has local changes that were not pushed yet.
    */
-  function showPatternNameError() {
-    taskNameInput.classList.add("is-invalid");
-    taskNameEmptyError.style.display = "none";
-    taskNamePatternError.style.display = "block";
-    taskNameDuplicateError.style.display = "none";
+  function isQueued(taskId) {
+    return queue.has(taskId);
   }
 
   /**
-   * Shows the duplicate name error.
+   * Drops a task from the queue.
    */
-  function showDuplicateNameError() {
-    taskNameInput.classList.add("is-invalid");
-    taskNameEmptyError.style.display = "none";
-    taskNamePatternError.style.display = "none";
-    taskNameDuplicateError.style.display = "block";
+  function unqueueTask(taskId) {
+    reload();
+    queue.delete(taskId);
+    persist();
   }
 
   /**
-   * Shows description validation error.
+   * Checks whether a task has ever been synced with the server.
    */
-  function showDescriptionError() {
-    taskDescriptionInput.classList.add("is-invalid");
-    taskDescriptionError.style.display = "block";
+  function isKnown(taskId) {
+    return revisions.has(taskId);
   }
 
   /**
-   * Hides description validation error.
+   * Gets the server revision last seen for a task (0 if never synced).
    */
-  function hideDescriptionError() {
-    taskDescriptionInput.classList.remove("is-invalid");
-    taskDescriptionError.style.display = "none";
+  function getRevision(taskId) {
+    return revisions.get(taskId) || 0;
   }
 
   /**
-   * Clears all form validation states.
+   * Records the server revision of a task, or forgets it when null.
    */
-  function clearFormValidation() {
-    taskNameInput.classList.remove("is-invalid");
-    taskDescriptionInput.classList.remove("is-invalid");
-    taskNameEmptyError.style.display = "none";
-    taskNamePatternError.style.display = "none";
-    taskNameDuplicateError.style.display = "none";
-    taskDescriptionError.style.display = "none";
+  function setRevision(taskId, revision) {
+    reload();
+    if (revision === null) {
+      revisions.delete(taskId);
+    } else {
+      revisions.set(taskId, revision);
+    }
+    persist();
   }
 
   /**
-   * Updates the submit button text.
+   * Lists unresolved conflicts ({ taskId, remote, revision }).
    */
-  function setSubmitButtonText(text) {
-    submitButton.textContent = text;
+  function getConflicts() {
+    return conflicts;
   }
 
   /**
-   * Updates the sort button text based on current sort order.
+   * Gets the unresolved conflict of a task, or null.
    */
-  function updateSortButtonText() {
-    sortByDueDateBtn.textContent = TasksModule.getSortAscending()
-      ? "Sort by Due Time: Ascending"
-      : "Sort by Due Time: Descending";
+  function getConflict(taskId) {
+    return conflicts.find((conflict) => conflict.taskId === taskId) || null;
   }
 
   /**
-   * Populates the form with task data for editing.
+   * Removes a task's conflict once it has been resolved.
    */
-  function populateFormWithTask(task) {
-    taskNameInput.value = task.name;
-    taskCategory.value = task.category;
-    const priorityInput = document.querySelector(
-      `input[name="priority"][value="${task.priority}"]`
-    );
-    if (priorityInput) {
-      priorityInput.checked = true;
+  function removeConflict(taskId) {
+    reload();
+    conflicts = conflicts.filter((conflict) => conflict.taskId !== taskId);
+    persist();
+  }
+
+  /**
+   * Sends a JSON request to the endpoint. Resolves to { status, body };
+   * rejects when the server cannot be reached.
+   */
+  async function request(method, path, body) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const response = await window.fetch(endpoint + path, {
+        method: method,
+        headers: body ? { "Content-Type": "application/json" } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    } finally {
+      clearTimeout(timeoutId);
     }
-    document.getElementById("taskDueDate").value = task.dueDate;
-    taskDescriptionInput.value = task.description;
   }
 
   /**
-   * Builds a DOM element representing a single task row.
+   * Pushes one queued task: PUT when it still exists locally, DELETE when it
+   * was removed. The server answers 409 with its copy when the revision we
+   * started from is outdated, which is recorded as a conflict.
    */
-  function createTaskElement(task) {
-    const taskDiv = document.createElement("div");
-    taskDiv.className = "list-group-item task-item";
-    taskDiv.setAttribute("data-category", task.category);
-    taskDiv.setAttribute("data-task-id", task.id);
-    taskDiv.classList.add(`priority-${task.priority}`);
+  async function pushTask(taskId, localTask) {
+    const baseRevision = getRevision(taskId);
+    let response;
+    if (localTask) {
+      response = await request("PUT", `/tasks/${taskId}`, {
+        task: localTask,
+        baseRevision: baseRevision,
+      });
+    } else if (baseRevision) {
+      response = await request("DELETE", `/tasks/${taskId}`, {
+        baseRevision: baseRevision,
+      });
+    } else {
+      // Added and removed again before it ever reached the server
+      return;
+    }
 
-    const dueDate = new Date(task.dueDate);
-    const timeRemaining = TasksModule.getTimeRemaining(dueDate);
-    const isOverdue = TasksModule.isTaskOverdue(task.dueDate);
-    const status = isOverdue ? "Overdue" : timeRemaining;
+    if (response.status === 409) {
+      reload();
+      conflicts = [
+        ...conflicts.filter((conflict) => conflict.taskId !== taskId),
+        {
+          taskId: taskId,
+          remote: response.body.task,
+          revision: response.body.revision,
+        },
+      ];
+      persist();
+    } else if (response.status >= 200 && response.status < 300) {
+      setRevision(taskId, localTask ? response.body.task.revision : null);
+    } else if (!(response.status === 404 && !localTask)) {
+      throw new Error(`Server answered ${response.status}`);
+    }
+  }
 
-    if (isOverdue) {
-      taskDiv.classList.add("overdue-task");
+  /**
+   * Pushes every queued change, in order. `getLocalTask(id)` returns the
+   * task's current state or null. Tasks with an open conflict stay queued
+   * until it is resolved. A change made while its push was in flight stays
+   * queued for the next round.
+   */
+  async function pushQueue(getLocalTask) {
+    for (const [taskId, changeCount] of Array.from(queue)) {
+      if (getConflict(taskId)) {
+        continue;
+      }
+      await pushTask(taskId, getLocalTask(taskId));
+      reload();
+      if (queue.get(taskId) === changeCount && !getConflict(taskId)) {
+        queue.delete(taskId);
+      }
+      persist();
+    }
+  }
+
+  /**
+   * Fetches every task on the server (each with revision and updatedAt).
+   */
+  async function fetchTasks() {
+    const response = await request("GET", "/tasks");
+    if (response.status !== 200) {
+      throw new Error(`Server answered ${response.status}`);
+    }
+    if (!Array.isArray(response.body)) {
+      throw new Error("Server sent an invalid task list");
+    }
+    return response.body;
+  }
+
+  // Return public API
+  return {
+    restore,
+    reload,
+    getEndpoint,
+    validateEndpoint,
+    setEndpoint,
+    isEnabled,
+    getStatus,
+    setStatus,
+    queueTask,
+    isQueued,
+    unqueueTask,
+    isKnown,
+    getRevision,
+    setRevision,
+    getConflicts,
+    getConflict,
+    removeConflict,
+    pushQueue,
+    fetchTasks,
+  };
+})();
+
+/* ============================================================
+   TASKS MODULE
+   Handles task data, validation, and business logic
+   ============================================================ */
+
+const TasksModule = (() => {
+  // Task Data Storage
+  let tasks = [];
+  let categories = []; // { name, color, icon }; replaced, never mutated
+  let lists = []; // { id, name, archived }; replaced, never mutated
+  let activeListId = StorageModule.DEFAULT_LIST_ID; // List shown in the app
+  const DEFAULT_LIST_NAME = "Tasks";
+  const defaultCategories = ["Work", "Personal", "Shopping", "Fitness"];
+  const categoryPalette = [
+    "#0d6efd",
+    "#6f42c1",
+    "#fd7e14",
+    "#198754",
+    "#d63384",
+    "#20c997",
+    "#6c757d",
+  ];
+  const categoryIcons = [
+    "",
+    "💼",
+    "🏠",
+    "🛒",
+    "🏋️",
+    "📚",
+    "💡",
+    "❤️",
+    "✈️",
+    "💰",
+  ];
+  const DEFAULT_CATEGORY_COLOR = "#6c757d";
+  const recurrenceFrequencies = ["daily", "weekly", "monthly"];
+  const priorityRanks = { low: 1, medium: 2, high: 3 };
+  const taskStatuses = ["todo", "in-progress", "done"];
+  // Stored task fields an import may restore besides the form's fields
+  const restorableTaskFields = [
+    "createdAt",
+    "status",
+    "recurrence",
+    "checklist",
+    "autoCompleteChecklist",
+    "reminders",
+    "snoozedUntil",
+    "tags",
+    "dependsOn",
+    "timeEntries",
+    "estimateMinutes",
+    "listId",
+  ];
+  const statusTitles = {
+    todo: "To do",
+    "in-progress": "In progress",
+    done: "Done",
+  };
+
+  // Ascending comparators for each sortable field
+  const compareText = (a, b) =>
+    a.localeCompare(b, undefined, { sensitivity: "base", numeric: true });
+  const compareDates = (a, b) => {
+    const timeA = new Date(a).getTime();
+    const timeB = new Date(b).getTime();
+    // Missing or invalid dates sort last
+    return (
+      (isNaN(timeA) ? Infinity : timeA) - (isNaN(timeB) ? Infinity : timeB) || 0
+    );
+  };
+  const sortComparators = {
+    dueDate: (a, b) => compareDates(a.dueDate, b.dueDate),
+    priority: (a, b) =>
+      (priorityRanks[a.priority] || 0) - (priorityRanks[b.priority] || 0),
+    name: (a, b) => compareText(a.name, b.name),
+    category: (a, b) => compareText(a.category, b.category),
+    createdAt: (a, b) => compareDates(a.createdAt, b.createdAt),
+    completed: (a, b) => Number(a.completed) - Number(b.completed),
+    // Ready tasks first, then blocked ones, then completed ones
+    ready: (a, b) => getReadiness(a) - getReadiness(b),
+  };
+
+  // Application State
+  let editingTaskId = null;
+  let sortKeys = [{ key: "dueDate", direction: "asc" }];
+  let taskFilter = createDefaultFilter();
+  let displayMode = "list"; // "list", "board" or "calendar"
+  let boardGroupBy = "status"; // "status", "category" or "priority"
+  let calendarMode = "month"; // "month" or "week"
+  let calendarDate = new Date(); // Any day inside the shown month or week
+  let selectedTaskIds = new Set(); // Tasks picked for batch actions
+  let focusedTaskId = null; // Task the keyboard shortcuts act on
+
+  // Retention: deleted tasks wait in the trash, old completed ones are archived
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_RETENTION_DAYS = 365;
+  let trashRetentionDays = 30; // Days before a deleted task is gone for good
+  let archiveAfterDays = 7; // Days after completion; 0 = never archive
+
+  // Undo/Redo History
+  const HISTORY_LIMIT = 100;
+  let undoStack = [];
+  let redoStack = [];
+  let historyDepth = 0;
+
+  // Sync: tasks, categories and lists as last saved, to find what changed
+  let lastPersistedTasks = [];
+  let lastPersistedCategories = null;
+  let lastPersistedLists = null;
+  let isSyncing = false;
+
+  // Set when stored data could not be read; saving is refused so the
+  // empty state shown instead never overwrites it
+  let loadError = null;
+
+  // Other tabs of the app hear about every saved change on this channel
+  const TAB_CHANNEL_NAME = "taskManager";
+  let tabChannel = null;
+  // Held by the one tab that is syncing; the others hear about its changes
+  const SYNC_LOCK_NAME = "taskManager.sync";
+
+  /**
+   * Gets the current editing task ID.
+   */
+  function getEditingTaskId() {
+    return editingTaskId;
+  }
+
+  /**
+   * Sets the editing task ID.
+   */
+  function setEditingTaskId(id) {
+    editingTaskId = id;
+  }
+
+  /**
+   * Gets the ID of the task highlighted for keyboard shortcuts.
+   */
+  function getFocusedTaskId() {
+    return focusedTaskId;
+  }
+
+  /**
+   * Sets the task highlighted for keyboard shortcuts (null for none).
+   */
+  function setFocusedTaskId(id) {
+    focusedTaskId = id;
+  }
+
+  /**
+   * Gets the current sort keys, most significant first.
+   * Each key is { key, direction } with direction "asc" or "desc".
+   */
+  function getSortKeys() {
+    return sortKeys.map((sortKey) => ({ ...sortKey }));
+  }
+
+  /**
+   * Sets the sort keys of the active list and remembers them for the next visit.
+   */
+  function setSortKeys(keys) {
+    applySortKeys(keys);
+    saveListPreferences();
+    return getSortKeys();
+  }
+
+  /**
+   * Uses the valid entries of `keys` as the sort keys, or sorts by due
+   * date when none are valid.
+   */
+  function applySortKeys(keys) {
+    const validKeys = keys.filter(
+      (sortKey) =>
+        sortKey &&
+        sortComparators[sortKey.key] &&
+        ["asc", "desc"].includes(sortKey.direction)
+    );
+    sortKeys =
+      validKeys.length > 0 ? validKeys : [{ key: "dueDate", direction: "asc" }];
+  }
+
+  /**
+   * Compares two tasks by the current sort keys. Ties fall back to
+   * creation order so the result is stable and repeatable.
+   */
+  function compareTasks(a, b) {
+    for (const { key, direction } of sortKeys) {
+      const result = sortComparators[key](a, b);
+      if (result !== 0) {
+        return direction === "desc" ? -result : result;
+      }
+    }
+    return a.id - b.id;
+  }
+
+  /**
+   * Gets how the task list is displayed ("list", "board" or "calendar").
+   */
+  function getDisplayMode() {
+    return displayMode;
+  }
+
+  /**
+   * Sets how the task list is displayed and remembers it.
+   */
+  function setDisplayMode(mode) {
+    displayMode = ["board", "calendar"].includes(mode) ? mode : "list";
+    StorageModule.savePreference("displayMode", displayMode);
+    return displayMode;
+  }
+
+  /**
+   * Gets what board columns are grouped by.
+   */
+  function getBoardGroupBy() {
+    return boardGroupBy;
+  }
+
+  /**
+   * Sets what board columns are grouped by and remembers it.
+   */
+  function setBoardGroupBy(groupBy) {
+    boardGroupBy = ["status", "category", "priority"].includes(groupBy)
+      ? groupBy
+      : "status";
+    StorageModule.savePreference("boardGroupBy", boardGroupBy);
+    return boardGroupBy;
+  }
+
+  /**
+   * Splits the filtered, sorted tasks into board columns
+   * ({ value, title, tasks }) for the current grouping.
+   */
+  function getBoardColumns() {
+    const filteredTasks = getFilteredTasks();
+    let columns;
+
+    if (boardGroupBy === "category") {
+      columns = getAvailableCategories().map((category) => ({
+        value: category,
+        title: `${getCategory(category).icon} ${
+          category.charAt(0).toUpperCase() + category.slice(1)
+        }`.trim(),
+      }));
+      if (filteredTasks.some((task) => !task.category)) {
+        columns.push({ value: "", title: "No category" });
+      }
+    } else if (boardGroupBy === "priority") {
+      columns = ["high", "medium", "low"].map((priority) => ({
+        value: priority,
+        title: `${
+          priority.charAt(0).toUpperCase() + priority.slice(1)
+        } Priority`,
+      }));
+    } else {
+      columns = taskStatuses.map((status) => ({
+        value: status,
+        title: statusTitles[status],
+      }));
+    }
+
+    return columns.map((column) => ({
+      ...column,
+      tasks: filteredTasks.filter(
+        (task) => getBoardValue(task) === column.value
+      ),
+    }));
+  }
+
+  /**
+   * Gets the value a task is grouped by on the board.
+   */
+  function getBoardValue(task) {
+    if (boardGroupBy === "category") {
+      return task.category.toLowerCase();
+    }
+    if (boardGroupBy === "priority") {
+      return task.priority;
+    }
+    return task.status;
+  }
+
+  /**
+   * Gets whether the calendar shows a month or a week.
+   */
+  function getCalendarMode() {
+    return calendarMode;
+  }
+
+  /**
+   * Sets whether the calendar shows a month or a week and remembers it.
+   */
+  function setCalendarMode(mode) {
+    calendarMode = mode === "week" ? "week" : "month";
+    StorageModule.savePreference("calendarMode", calendarMode);
+    return calendarMode;
+  }
+
+  /**
+   * Gets a copy of the day the calendar is positioned on.
+   */
+  function getCalendarDate() {
+    return new Date(calendarDate);
+  }
+
+  /**
+   * Moves the calendar by whole months or weeks (negative goes back),
+   * or back to today when steps is 0.
+   */
+  function shiftCalendar(steps) {
+    if (steps === 0) {
+      calendarDate = new Date();
+    } else if (calendarMode === "week") {
+      calendarDate = new Date(calendarDate);
+      calendarDate.setDate(calendarDate.getDate() + steps * 7);
+    } else {
+      // Day 1 avoids skipping short months (e.g. Jan 31 -> Mar 3)
+      calendarDate = new Date(
+        calendarDate.getFullYear(),
+        calendarDate.getMonth() + steps,
+        1
+      );
+    }
+    return getCalendarDate();
+  }
+
+  /**
+   * Lists the calendar days to show, Sunday first, with the filtered and
+   * sorted tasks due on each ({ date, inPeriod, isToday, tasks }).
+   * A month is padded to whole weeks.
+   */
+  function getCalendarDays() {
+    let start;
+    let dayCount = 7;
+
+    if (calendarMode === "week") {
+      start = new Date(calendarDate);
+      start.setDate(start.getDate() - start.getDay());
+    } else {
+      const firstOfMonth = new Date(
+        calendarDate.getFullYear(),
+        calendarDate.getMonth(),
+        1
+      );
+      const daysInMonth = new Date(
+        calendarDate.getFullYear(),
+        calendarDate.getMonth() + 1,
+        0
+      ).getDate();
+      start = new Date(firstOfMonth);
+      start.setDate(1 - firstOfMonth.getDay());
+      dayCount = Math.ceil((firstOfMonth.getDay() + daysInMonth) / 7) * 7;
+    }
+
+    const todayKey = formatDateTimeLocal(new Date()).slice(0, 10);
+    const filteredTasks = getFilteredTasks();
+    const days = [];
+
+    for (let i = 0; i < dayCount; i++) {
+      const day = new Date(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate() + i
+      );
+      const dateKey = formatDateTimeLocal(day).slice(0, 10);
+      days.push({
+        date: dateKey,
+        inPeriod:
+          calendarMode === "week" || day.getMonth() === calendarDate.getMonth(),
+        isToday: dateKey === todayKey,
+        tasks: filteredTasks.filter(
+          (task) => task.dueDate.slice(0, 10) === dateKey
+        ),
+      });
+    }
+    return days;
+  }
+
+  /**
+   * Creates a filter that matches every task.
+   */
+  function createDefaultFilter() {
+    return {
+      text: "", // Words to find in name or description
+      categories: [], // Any of these categories (empty = all)
+      priorities: [], // Any of these priorities (empty = all)
+      dueFrom: "", // Earliest due day, YYYY-MM-DD
+      dueTo: "", // Latest due day, YYYY-MM-DD
+      overdueOnly: false,
+      completion: "show", // "show", "hide" or "only" completed tasks
+      tags: [], // Tags to look for (empty = all)
+      tagMode: "any", // "any" or "all" of the tags must be on the task
+      readyOnly: false, // Only open tasks whose prerequisites are all done
+    };
+  }
+
+  /**
+   * Gets a copy of the current list filter.
+   */
+  function getFilter() {
+    return {
+      ...taskFilter,
+      categories: [...taskFilter.categories],
+      priorities: [...taskFilter.priorities],
+      tags: [...taskFilter.tags],
+    };
+  }
+
+  /**
+   * Updates some fields of the current list filter.
+   */
+  function setFilter(changes) {
+    taskFilter = { ...taskFilter, ...changes };
+    saveListPreferences();
+    return getFilter();
+  }
+
+  /**
+   * Clears the current list filter.
+   */
+  function resetFilter() {
+    taskFilter = createDefaultFilter();
+    saveListPreferences();
+    return getFilter();
+  }
+
+  /**
+   * Remembers the active list's filter and sort keys, so each list comes
+   * back the way it was left.
+   */
+  function saveListPreferences() {
+    const preferences = StorageModule.loadPreference("listPreferences", {});
+    preferences[activeListId] = { filter: taskFilter, sortKeys: sortKeys };
+    StorageModule.savePreference("listPreferences", preferences);
+  }
+
+  /**
+   * Restores the active list's filter and sort keys. Lists without their
+   * own sort keys use the ones saved before lists existed, if any.
+   */
+  function restoreListPreferences() {
+    const saved =
+      StorageModule.loadPreference("listPreferences", {})[activeListId] || {};
+    taskFilter = { ...createDefaultFilter(), ...saved.filter };
+    applySortKeys(
+      saved.sortKeys || StorageModule.loadPreference("sortKeys", [])
+    );
+  }
+
+  /**
+   * Checks whether any filter criteria differ from the defaults.
+   */
+  function isFilterActive(filter = taskFilter) {
+    return filterToSearchParams(filter).toString() !== "";
+  }
+
+  /**
+   * Checks whether a task satisfies every criterion of a filter.
+   */
+  function matchesFilter(task, filter) {
+    const words = filter.text.toLowerCase().split(/\s+/).filter(Boolean);
+    const haystack = `${task.name} ${task.description}`.toLowerCase();
+    const dueDay = task.dueDate.slice(0, 10);
+
+    if (!words.every((word) => haystack.includes(word))) {
+      return false;
+    }
+    if (
+      filter.categories.length > 0 &&
+      !filter.categories.includes(task.category.toLowerCase())
+    ) {
+      return false;
+    }
+    if (
+      filter.priorities.length > 0 &&
+      !filter.priorities.includes(task.priority)
+    ) {
+      return false;
+    }
+    if (filter.tags.length > 0) {
+      const hasTag = (tag) => task.tags.includes(tag);
+      const tagsMatch =
+        filter.tagMode === "all"
+          ? filter.tags.every(hasTag)
+          : filter.tags.some(hasTag);
+      if (!tagsMatch) {
+        return false;
+      }
+    }
+    if (
+      (filter.dueFrom && dueDay < filter.dueFrom) ||
+      (filter.dueTo && dueDay > filter.dueTo)
+    ) {
+      return false;
+    }
+    if (
+      filter.overdueOnly &&
+      (task.completed || !isTaskOverdue(task.dueDate))
+    ) {
+      return false;
+    }
+    if (filter.readyOnly && !isTaskReady(task)) {
+      return false;
+    }
+    if (filter.completion === "hide") {
+      return !task.completed;
+    }
+    if (filter.completion === "only") {
+      return task.completed;
+    }
+    return true;
+  }
+
+  /**
+   * Encodes a filter as URL query parameters, omitting default values.
+   */
+  function filterToSearchParams(filter) {
+    const params = new URLSearchParams();
+    if (filter.text) {
+      params.set("q", filter.text);
+    }
+    if (filter.categories.length > 0) {
+      params.set("category", filter.categories.join(","));
+    }
+    if (filter.priorities.length > 0) {
+      params.set("priority", filter.priorities.join(","));
+    }
+    if (filter.dueFrom) {
+      params.set("from", filter.dueFrom);
+    }
+    if (filter.dueTo) {
+      params.set("to", filter.dueTo);
+    }
+    if (filter.overdueOnly) {
+      params.set("overdue", "1");
+    }
+    if (filter.readyOnly) {
+      params.set("ready", "1");
+    }
+    if (filter.completion !== "show") {
+      params.set("completed", filter.completion);
+    }
+    if (filter.tags.length > 0) {
+      params.set("tags", filter.tags.join(","));
+      if (filter.tagMode === "all") {
+        params.set("tagmode", "all");
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Decodes a filter from URL query parameters produced by filterToSearchParams.
+   */
+  function filterFromSearchParams(params) {
+    const list = (name) =>
+      (params.get(name) || "")
+        .split(",")
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean);
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const from = params.get("from") || "";
+    const to = params.get("to") || "";
+    const completion = params.get("completed");
+
+    return {
+      ...createDefaultFilter(),
+      text: params.get("q") || "",
+      categories: list("category"),
+      priorities: list("priority"),
+      dueFrom: datePattern.test(from) ? from : "",
+      dueTo: datePattern.test(to) ? to : "",
+      overdueOnly: params.get("overdue") === "1",
+      readyOnly: params.get("ready") === "1",
+      completion: ["hide", "only"].includes(completion) ? completion : "show",
+      tags: list("tags").filter(validateTag),
+      tagMode: params.get("tagmode") === "all" ? "all" : "any",
+    };
+  }
+
+  /**
+   * Creates the starting categories, each with its own color.
+   */
+  function createDefaultCategories() {
+    return defaultCategories.map((name, index) => ({
+      name: name.toLowerCase(),
+      color: categoryPalette[index % categoryPalette.length],
+      icon: "",
+    }));
+  }
+
+  /**
+   * Builds a unique, sorted list of categories from saved categories and existing tasks.
+   */
+  function getAvailableCategories() {
+    const savedCategories = categories.map((category) => category.name);
+    const taskCategories = getUntrashedTasks()
+      .map((task) => task.category.toLowerCase())
+      .filter(Boolean);
+    const allCategories = new Set([...savedCategories, ...taskCategories]);
+    console.log("All Categories:", allCategories);
+    return Array.from(allCategories).sort();
+  }
+
+  /**
+   * Gets a category's settings ({ name, color, icon }). Categories that only
+   * appear on tasks (e.g. imported ones) get a neutral color and no icon.
+   */
+  function getCategory(name) {
+    const normalizedName = String(name || "").toLowerCase();
+    const category = categories.find((item) => item.name === normalizedName);
+    return category
+      ? { ...category }
+      : { name: normalizedName, color: DEFAULT_CATEGORY_COLOR, icon: "" };
+  }
+
+  /**
+   * Lists every available category with its settings, sorted by name.
+   */
+  function getCategories() {
+    return getAvailableCategories().map((name) => getCategory(name));
+  }
+
+  /**
+   * Gets the icons a category can use ("" means no icon).
+   */
+  function getCategoryIcons() {
+    return [...categoryIcons];
+  }
+
+  /**
+   * Validates that a category name only includes letters, numbers, and spaces.
+   */
+  function validateCategoryName(name) {
+    const validPattern = /^[a-zA-Z0-9 ]+$/;
+    return validPattern.test(name);
+  }
+
+  /**
+   * Checks if a category name is already used (case-insensitive).
+   */
+  function isCategoryNameDuplicate(name, excludeName = null) {
+    const normalizedName = name.trim().toLowerCase();
+    return (
+      normalizedName !== excludeName &&
+      getAvailableCategories().includes(normalizedName)
+    );
+  }
+
+  /**
+   * Counts the tasks filed under a category.
+   */
+  function countTasksInCategory(name) {
+    return getUntrashedTasks().filter(
+      (task) => task.category.toLowerCase() === name
+    ).length;
+  }
+
+  /**
+   * Adds a custom category. Returns it, or null if the name is invalid or taken.
+   */
+  function addCategory(name, color = null, icon = "") {
+    const normalizedName = name.trim().toLowerCase();
+    if (
+      !validateCategoryName(normalizedName) ||
+      isCategoryNameDuplicate(normalizedName)
+    ) {
+      return null;
+    }
+
+    return recordChange("Add category", () => {
+      const category = {
+        name: normalizedName,
+        color:
+          color || categoryPalette[categories.length % categoryPalette.length],
+        icon: categoryIcons.includes(icon) ? icon : "",
+      };
+      categories = [...categories, category];
+      return { ...category };
+    });
+  }
+
+  /**
+   * Renames and/or recolors a category. Renaming re-tags all of its tasks.
+   * Returns the updated category, or null if the new name is invalid or taken.
+   */
+  function updateCategory(name, changes) {
+    const current = getCategory(name);
+    const newName = (changes.name || current.name).trim().toLowerCase();
+    if (
+      !validateCategoryName(newName) ||
+      isCategoryNameDuplicate(newName, current.name)
+    ) {
+      return null;
+    }
+
+    return recordChange("Edit category", () => {
+      const updated = {
+        name: newName,
+        color: changes.color || current.color,
+        icon:
+          changes.icon !== undefined && categoryIcons.includes(changes.icon)
+            ? changes.icon
+            : current.icon,
+      };
+      categories = [
+        ...categories.filter((category) => category.name !== current.name),
+        updated,
+      ];
+
+      if (newName !== current.name) {
+        tasks = tasks.map((task) =>
+          task.category.toLowerCase() === current.name
+            ? { ...task, category: newName }
+            : task
+        );
+      }
+      return { ...updated };
+    });
+  }
+
+  /**
+   * Deletes a category. Its tasks move to `reassignTo`, or to the trash
+   * when no category is given.
+   */
+  function deleteCategory(name, reassignTo = null) {
+    const normalizedName = String(name).toLowerCase();
+    const target = reassignTo ? reassignTo.toLowerCase() : null;
+    if (target === normalizedName) {
+      return;
+    }
+
+    recordChange("Delete category", () => {
+      categories = categories.filter(
+        (category) => category.name !== normalizedName
+      );
+      tasks.forEach((task, taskIndex) => {
+        if (task.category.toLowerCase() !== normalizedName) {
+          return;
+        }
+        if (target) {
+          tasks[taskIndex] = { ...task, category: target };
+        } else {
+          trashTaskAt(taskIndex);
+        }
+      });
+    });
+  }
+
+  /**
+   * Creates the starting list that holds every task until others are added.
+   */
+  function createDefaultLists() {
+    return [
+      {
+        id: StorageModule.DEFAULT_LIST_ID,
+        name: DEFAULT_LIST_NAME,
+        archived: false,
+      },
+    ];
+  }
+
+  /**
+   * Lists the task lists ({ id, name, archived }) in creation order,
+   * optionally leaving out archived ones.
+   */
+  function getLists(includeArchived = true) {
+    return lists
+      .filter((list) => includeArchived || !list.archived)
+      .map((list) => ({ ...list }));
+  }
+
+  /**
+   * Gets a copy of a list by its ID, or null.
+   */
+  function getList(listId) {
+    const list = lists.find((item) => item.id === listId);
+    return list ? { ...list } : null;
+  }
+
+  /**
+   * Gets the ID of the list shown in the app.
+   */
+  function getActiveListId() {
+    return activeListId;
+  }
+
+  /**
+   * Gets the ID of the list a task is in. Tasks whose list is unknown
+   * (e.g. synced from a device with other lists) count as the first list.
+   */
+  function getTaskListId(task) {
+    return lists.some((list) => list.id === task.listId)
+      ? task.listId
+      : lists[0].id;
+  }
+
+  /**
+   * Gets the IDs of the tasks in a list.
+   */
+  function getTaskIdsInList(listId) {
+    return getUntrashedTasks()
+      .filter((task) => getTaskListId(task) === listId)
+      .map((task) => task.id);
+  }
+
+  /**
+   * Validates that a list name only includes letters, numbers, and spaces.
+   */
+  function validateListName(name) {
+    const validPattern = /^[a-zA-Z0-9 ]+$/;
+    return validPattern.test(name);
+  }
+
+  /**
+   * Checks if a list name is already used (case-insensitive).
+   */
+  function isListNameDuplicate(name, excludeListId = null) {
+    const normalizedName = name.trim().toLowerCase();
+    return lists.some(
+      (list) =>
+        list.name.toLowerCase() === normalizedName && list.id !== excludeListId
+    );
+  }
+
+  /**
+   * Generates a timestamp-based list ID that is not already in use.
+   */
+  function generateListId() {
+    let id = Date.now();
+    while (lists.some((list) => list.id === id)) {
+      id++;
+    }
+    return id;
+  }
+
+  /**
+   * Adds a list. Returns it, or null if the name is invalid or taken.
+   */
+  function addList(name) {
+    const trimmedName = name.trim();
+    if (!validateListName(trimmedName) || isListNameDuplicate(trimmedName)) {
+      return null;
+    }
+
+    return recordChange("Add list", () => {
+      const list = { id: generateListId(), name: trimmedName, archived: false };
+      lists = [...lists, list];
+      return { ...list };
+    });
+  }
+
+  /**
+   * Renames a list. Returns the updated list, or null if the new name is
+   * invalid or taken.
+   */
+  function renameList(listId, name) {
+    const trimmedName = name.trim();
+    if (
+      !getList(listId) ||
+      !validateListName(trimmedName) ||
+      isListNameDuplicate(trimmedName, listId)
+    ) {
+      return null;
+    }
+
+    return recordChange("Rename list", () => {
+      lists = lists.map((list) =>
+        list.id === listId ? { ...list, name: trimmedName } : list
+      );
+      return getList(listId);
+    });
+  }
+
+  /**
+   * Checks whether a list is the only one not archived, which must stay.
+   */
+  function isLastOpenList(listId) {
+    return !lists.some((list) => list.id !== listId && !list.archived);
+  }
+
+  /**
+   * Archives a list (hiding it and its tasks) or brings it back.
+   * Archiving the active list switches to another one. Returns false when
+   * the list is the last one not archived.
+   */
+  function setListArchived(listId, archived) {
+    if (!getList(listId) || (archived && isLastOpenList(listId))) {
+      return false;
+    }
+
+    recordChange(archived ? "Archive list" : "Unarchive list", () => {
+      lists = lists.map((list) =>
+        list.id === listId ? { ...list, archived: archived } : list
+      );
+    });
+    ensureActiveList();
+    return true;
+  }
+
+  /**
+   * Deletes a list. Its tasks move to the list `moveTo`, or to the trash
+   * when no list is given. Returns false when the list is the last one not
+   * archived, or when a task's name is already used in `moveTo`.
+   */
+  function deleteList(listId, moveTo = null) {
+    const taskIds = new Set(getTaskIdsInList(listId));
+    if (
+      !getList(listId) ||
+      listId === moveTo ||
+      isLastOpenList(listId) ||
+      (moveTo !== null &&
+        (!getList(moveTo) || getMoveConflicts([...taskIds], moveTo).length > 0))
+    ) {
+      return false;
+    }
+
+    recordChange("Delete list", () => {
+      lists = lists.filter((list) => list.id !== listId);
+      tasks.forEach((task, taskIndex) => {
+        if (!taskIds.has(task.id)) {
+          return;
+        }
+        if (moveTo !== null) {
+          tasks[taskIndex] = { ...task, listId: moveTo };
+        } else {
+          trashTaskAt(taskIndex);
+        }
+      });
+    });
+    ensureActiveList();
+    return true;
+  }
+
+  /**
+   * Shows another list, bringing back its own filter and sort keys.
+   * Returns false if the list does not exist or is archived.
+   */
+  function switchList(listId) {
+    const list = getList(listId);
+    if (!list || list.archived) {
+      return false;
+    }
+
+    activeListId = list.id;
+    StorageModule.savePreference("activeListId", activeListId);
+    restoreListPreferences();
+    clearSelection();
+    focusedTaskId = null;
+    return true;
+  }
+
+  /**
+   * Switches to the first open list when the active one was archived or
+   * deleted (also by undo or in another tab). Returns true if it switched.
+   */
+  function ensureActiveList() {
+    const active = getList(activeListId);
+    if (active && !active.archived) {
+      return false;
+    }
+    const fallback = lists.find((list) => !list.archived);
+    return fallback ? switchList(fallback.id) : false;
+  }
+
+  /**
+   * Lists the tasks that cannot move to a list because their name is
+   * already used there.
+   */
+  function getMoveConflicts(taskIds, listId) {
+    return taskIds
+      .map(getTaskById)
+      .filter(
+        (task) => task && isTaskNameDuplicate(task.name, task.id, listId)
+      );
+  }
+
+  /**
+   * Moves several tasks to another list as one undoable change. Tasks
+   * whose name is already used in that list stay where they are.
+   * Returns the tasks that were skipped.
+   */
+  function moveTasksToList(taskIds, listId) {
+    if (!getList(listId)) {
+      return [];
+    }
+    const skipped = getMoveConflicts(taskIds, listId);
+    const skippedIds = new Set(skipped.map((task) => task.id));
+    const movedIds = new Set(
+      taskIds.filter(
+        (taskId) =>
+          !skippedIds.has(taskId) &&
+          getTaskById(taskId) &&
+          getTaskListId(getTaskById(taskId)) !== listId
+      )
+    );
+
+    recordChange(getBatchLabel("Move", movedIds.size), () => {
+      tasks = tasks.map((task) =>
+        movedIds.has(task.id) ? { ...task, listId: listId } : task
+      );
+    });
+    setTasksSelected([...movedIds], false);
+    return skipped;
+  }
+
+  /**
+   * Checks if a task name already exists in a list (case-insensitive).
+   */
+  function isTaskNameDuplicate(
+    taskName,
+    excludeTaskId = null,
+    listId = activeListId
+  ) {
+    const normalizedName = taskName.toLowerCase();
+    const seriesId = getSeriesId(getTaskById(excludeTaskId));
+    return tasks.some(
+      (task) =>
+        task.name.toLowerCase() === normalizedName &&
+        task.id !== excludeTaskId &&
+        getTaskListId(task) === listId &&
+        isTaskLive(task) &&
+        // Occurrences of one recurring task share its name
+        (seriesId === null || getSeriesId(task) !== seriesId)
+    );
+  }
+
+  /**
+   * Gets the recurring series a task belongs to, or null.
+   */
+  function getSeriesId(task) {
+    return task && task.recurrence ? task.recurrence.seriesId : null;
+  }
+
+  /**
+   * Validates repeat settings: a known frequency, whole-number interval and
+   * count of at least 1, and an end date that is not before the due date.
+   */
+  function validateRecurrence(repeat, dueDate) {
+    if (!repeat) {
+      return true;
+    }
+    const isPositiveInteger = (value) =>
+      Number.isInteger(Number(value)) && Number(value) >= 1;
+
+    if (!recurrenceFrequencies.includes(repeat.frequency)) {
+      return false;
+    }
+    if (!isPositiveInteger(repeat.interval)) {
+      return false;
+    }
+    if (repeat.count && !isPositiveInteger(repeat.count)) {
+      return false;
+    }
+    return (
+      !repeat.endDate || !dueDate || repeat.endDate >= dueDate.slice(0, 10)
+    );
+  }
+
+  /**
+   * Validates that a task name only includes letters, numbers, and spaces.
+   */
+  function validateTaskName(taskName) {
+    const validPattern = /^[a-zA-Z0-9\s]+$/;
+    return validPattern.test(taskName);
+  }
+
+  /**
+   * Validates that a tag only includes letters, numbers, and hyphens
+   * (no spaces) and is at most 30 characters long.
+   */
+  function validateTag(tag) {
+    const validPattern = /^[a-zA-Z0-9-]{1,30}$/;
+    return validPattern.test(tag);
+  }
+
+  /**
+   * Lowercases tags, dropping invalid ones and duplicates; order is preserved.
+   */
+  function normalizeTags(tags) {
+    const normalized = tags
+      .map((tag) => String(tag).trim().replace(/^#/, "").toLowerCase())
+      .filter(validateTag);
+    return Array.from(new Set(normalized));
+  }
+
+  const weekdayNames = [
+    "sunday",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+  ];
+
+  /**
+   * Reads a day from quick-add words starting at `index`. Returns the date
+   * (at midnight) and how many words it used, or null.
+   */
+  function parseQuickAddDay(words, index, today) {
+    const word = words[index];
+    const addDays = (days) =>
+      new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+
+    if (word === "today" || word === "tonight") {
+      return { date: today, length: 1 };
+    }
+    if (word === "tomorrow") {
+      return { date: addDays(1), length: 1 };
+    }
+    if (word === "in" && /^\d+$/.test(words[index + 1] || "")) {
+      const amount = Number(words[index + 1]);
+      const unit = words[index + 2] || "";
+      if (/^days?$/.test(unit)) {
+        return { date: addDays(amount), length: 3 };
+      }
+      if (/^weeks?$/.test(unit)) {
+        return { date: addDays(amount * 7), length: 3 };
+      }
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(word)) {
+      const date = new Date(`${word}T00:00`);
+      return isNaN(date) ? null : { date, length: 1 };
+    }
+
+    // "friday", "fri" or "next friday": the next such day after today
+    const isNext = word === "next";
+    const dayWord = isNext ? words[index + 1] || "" : word;
+    const weekday = weekdayNames.findIndex(
+      (name) => dayWord.length >= 3 && name.startsWith(dayWord)
+    );
+    if (weekday === -1) {
+      return null;
+    }
+    const daysAhead = (weekday - today.getDay() + 7) % 7 || 7;
+    return { date: addDays(daysAhead), length: isNext ? 2 : 1 };
+  }
+
+  /**
+   * Reads a time like "5pm", "5:30pm", "17:00" or "noon", or returns null.
+   */
+  function parseQuickAddTime(word) {
+    if (word === "noon") {
+      return { hours: 12, minutes: 0 };
+    }
+    const twelveHour = word.match(/^(1[0-2]|0?[1-9])(?::([0-5]\d))?(am|pm)$/);
+    if (twelveHour) {
+      const hours =
+        (Number(twelveHour[1]) % 12) + (twelveHour[3] === "pm" ? 12 : 0);
+      return { hours, minutes: Number(twelveHour[2] || 0) };
+    }
+    const twentyFourHour = word.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (twentyFourHour) {
+      return {
+        hours: Number(twentyFourHour[1]),
+        minutes: Number(twentyFourHour[2]),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Parses quick-add text such as "Submit report tomorrow 5pm #work !high"
+   * into { name, category, priority, dueDate, tags }. "#name" picks an
+   * existing category (other hashtags become tags), "!high", "!medium" or
+   * "!low" sets the priority (medium by default), and the first day and time
+   * found set the due date. A day without a time is due at the end of that
+   * day ("tonight" at 20:00); a time without a day is the next such time.
+   * The remaining words form the name.
+   */
+  function parseQuickAdd(text, now = new Date()) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    const lowerWords = words.map((word) => word.toLowerCase());
+    const availableCategories = getAvailableCategories();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const nameWords = [];
+    const tags = [];
+    let category = null;
+    let priority = null;
+    let day = null;
+    let time = null;
+    let isTonight = false;
+
+    for (let index = 0; index < words.length; index++) {
+      const word = lowerWords[index];
+      // "at 5pm" / "on friday": drop the preposition along with the value
+      const skip =
+        (word === "at" &&
+          !time &&
+          parseQuickAddTime(lowerWords[index + 1] || "")) ||
+        (word === "on" &&
+          !day &&
+          parseQuickAddDay(lowerWords, index + 1, today))
+          ? 1
+          : 0;
+      const current = lowerWords[index + skip];
+
+      if (word.length > 1 && word.startsWith("#")) {
+        const value = word.slice(1);
+        if (!category && availableCategories.includes(value)) {
+          category = value;
+        } else if (!tags.includes(value)) {
+          tags.push(value);
+        }
+        continue;
+      }
+
+      const priorityMatch = word.match(/^!(high|medium|med|low)$/);
+      if (priorityMatch && !priority) {
+        priority = priorityMatch[1] === "med" ? "medium" : priorityMatch[1];
+        continue;
+      }
+
+      const parsedDay = day
+        ? null
+        : parseQuickAddDay(lowerWords, index + skip, today);
+      if (parsedDay) {
+        day = parsedDay.date;
+        isTonight = current === "tonight";
+        index += skip + parsedDay.length - 1;
+        continue;
+      }
+
+      const parsedTime = time ? null : parseQuickAddTime(current);
+      if (parsedTime) {
+        time = parsedTime;
+        index += skip;
+        continue;
+      }
+
+      nameWords.push(words[index]);
+    }
+
+    let dueDate = "";
+    if (day || time) {
+      const defaultTime = isTonight
+        ? { hours: 20, minutes: 0 }
+        : { hours: 23, minutes: 59 };
+      const { hours, minutes } = time || defaultTime;
+      const due = new Date(day || today);
+      due.setHours(hours, minutes);
+      if (!day && due <= now) {
+        due.setDate(due.getDate() + 1);
+      }
+      dueDate = formatDateTimeLocal(due);
+    }
+
+    return {
+      name: nameWords.join(" "),
+      category,
+      priority: priority || "medium",
+      dueDate,
+      tags,
+    };
+  }
+
+  /**
+   * Lists every tag used by any task, sorted.
+   */
+  function getAllTags() {
+    return Array.from(
+      new Set(tasks.filter(isTaskLive).flatMap((task) => task.tags))
+    ).sort();
+  }
+
+  /**
+   * Cleans up prerequisite IDs: numbers only, no duplicates,
+   * and only tasks that exist (other than the task itself).
+   */
+  function normalizeDependencies(taskIds, taskId = null) {
+    const ids = taskIds
+      .map(Number)
+      .filter((id) => id !== taskId && getTaskById(id));
+    return Array.from(new Set(ids));
+  }
+
+  /**
+   * Checks whether giving a task these prerequisites would create a cycle
+   * (a task that, directly or indirectly, depends on itself).
+   */
+  function wouldCreateCycle(taskId, dependsOn) {
+    if (taskId === null) {
+      return false; // New tasks have no dependents yet
+    }
+    const visited = new Set();
+    const pending = [...dependsOn];
+
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (id === taskId) {
+        return true;
+      }
+      if (!visited.has(id)) {
+        visited.add(id);
+        const task = getTaskById(id);
+        pending.push(...((task && task.dependsOn) || []));
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Validates prerequisites: existing tasks, not the task itself, no cycles.
+   */
+  function validateDependencies(taskId, dependsOn) {
+    const ids = dependsOn.map(Number);
+    return (
+      ids.every((id) => id !== taskId && getTaskById(id)) &&
+      !wouldCreateCycle(taskId, ids)
+    );
+  }
+
+  /**
+   * Gets the prerequisites of a task that are not completed yet.
+   * Prerequisites in the trash no longer block.
+   */
+  function getBlockingTasks(task) {
+    return (task.dependsOn || [])
+      .map(getTaskById)
+      .filter(
+        (prerequisite) =>
+          prerequisite && !prerequisite.completed && !prerequisite.deletedAt
+      );
+  }
+
+  /**
+   * Checks whether a task is open and all of its prerequisites are done.
+   */
+  function isTaskReady(task) {
+    return !task.completed && getBlockingTasks(task).length === 0;
+  }
+
+  /**
+   * Ranks a task for the "ready" sort: 0 ready, 1 blocked, 2 completed.
+   */
+  function getReadiness(task) {
+    if (task.completed) {
+      return 2;
+    }
+    return isTaskReady(task) ? 0 : 1;
+  }
+
+  /**
+   * Gets the prerequisites that are due after the given due date,
+   * which would leave the dependent task unable to finish on time.
+   */
+  function getLatePrerequisites(dueDate, dependsOn) {
+    return dependsOn
+      .map((id) => getTaskById(Number(id)))
+      .filter(
+        (prerequisite) =>
+          prerequisite &&
+          !prerequisite.deletedAt &&
+          compareDates(dueDate, prerequisite.dueDate) < 0
+      );
+  }
+
+  /**
+   * Validates that a description contains only text, digits, spaces, and basic punctuation.
+   */
+  function validateDescription(description) {
+    const validPattern = /^[a-zA-Z0-9\s\.,!?\-']+$/;
+    return validPattern.test(description);
+  }
+
+  /**
+   * Loads persisted tasks into memory. Call once before the first render.
+   */
+  async function hydrate() {
+    try {
+      const state = await StorageModule.loadState();
+      tasks = state.tasks;
+      categories = state.categories || createDefaultCategories();
+      lists = state.lists || createDefaultLists();
+    } catch (error) {
+      console.error("Failed to load tasks:", error);
+      loadError = error;
+      tasks = [];
+      categories = createDefaultCategories();
+      lists = createDefaultLists();
+    }
+    activeListId = StorageModule.loadPreference("activeListId", activeListId);
+    if (!ensureActiveList()) {
+      restoreListPreferences();
+    }
+    setDisplayMode(StorageModule.loadPreference("displayMode", displayMode));
+    setBoardGroupBy(StorageModule.loadPreference("boardGroupBy", boardGroupBy));
+    setCalendarMode(StorageModule.loadPreference("calendarMode", calendarMode));
+    setTrashRetentionDays(
+      StorageModule.loadPreference("trashRetentionDays", trashRetentionDays)
+    );
+    setArchiveAfterDays(
+      StorageModule.loadPreference("archiveAfterDays", archiveAfterDays)
+    );
+    SyncModule.restore();
+    lastPersistedTasks = [...tasks];
+    lastPersistedCategories = categories;
+    lastPersistedLists = lists;
+    return tasks;
+  }
+
+  /**
+   * Gets the error that stopped stored data from loading, or null.
+   */
+  function getLoadError() {
+    return loadError;
+  }
+
+  /**
+   * Writes the current tasks, categories and lists through the storage layer.
+   * Tasks changed since the last save are sent to other tabs and queued
+   * for sync, unless the change came from the server (`fromServer`); undo
+   * then leaves those tasks alone.
+   */
+  function persistState(fromServer = false) {
+    const changes = diffTasks(lastPersistedTasks, tasks);
+    if (fromServer) {
+      forgetHistory(changes.map((change) => change.id));
+    } else {
+      changes.forEach((change) => {
+        SyncModule.queueTask(change.id);
+      });
+    }
+    broadcastChanges(
+      changes,
+      categories !== lastPersistedCategories,
+      lists !== lastPersistedLists
+    );
+    lastPersistedTasks = [...tasks];
+    lastPersistedCategories = categories;
+    lastPersistedLists = lists;
+    return writeState();
+  }
+
+  /**
+   * Saves tasks, categories and lists as they are, without sync or broadcast.
+   */
+  function writeState() {
+    if (loadError) {
+      console.error("Not saving tasks: stored data failed to load");
+      return Promise.resolve();
+    }
+    return StorageModule.saveState({
+      tasks: tasks,
+      categories: categories,
+      lists: lists,
+    }).catch((error) => {
+      console.error("Failed to save tasks:", error);
+    });
+  }
+
+  /**
+   * Lists the per-task differences between two task arrays.
+   * Task objects are replaced, never mutated, so identity marks a change.
+   */
+  function diffTasks(previousTasks, nextTasks) {
+    const previousById = new Map(previousTasks.map((task) => [task.id, task]));
+    const nextIds = new Set(nextTasks.map((task) => task.id));
+    const changes = [];
+
+    nextTasks.forEach((task) => {
+      const previous = previousById.get(task.id);
+      if (previous !== task) {
+        changes.push({ id: task.id, before: previous || null, after: task });
+      }
+    });
+    previousTasks.forEach((task, index) => {
+      if (!nextIds.has(task.id)) {
+        changes.push({ id: task.id, before: task, after: null, index: index });
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Applies one side ("before" or "after") of a list of task changes.
+   */
+  function applyChanges(changes, side) {
+    changes.forEach((change) => {
+      const task = change[side];
+      const taskIndex = tasks.findIndex((item) => item.id === change.id);
+      if (task === null) {
+        if (taskIndex !== -1) {
+          tasks.splice(taskIndex, 1);
+        }
+      } else if (taskIndex !== -1) {
+        tasks[taskIndex] = task;
+      } else {
+        // Restore removed tasks at their old position
+        const insertAt =
+          change.index === undefined ? tasks.length : change.index;
+        tasks.splice(Math.min(insertAt, tasks.length), 0, task);
+      }
+    });
+  }
+
+  /**
+   * Runs a mutation and records it as one undoable command.
+   * Nested calls (e.g. addTask inside a bulk import) join the outer command,
+   * and the tasks are saved once when the outermost call finishes.
+   */
+  function recordChange(label, mutate) {
+    if (historyDepth > 0) {
+      return mutate();
+    }
+
+    const previousTasks = [...tasks];
+    const previousCategories = categories;
+    const previousLists = lists;
+    let result;
+    historyDepth++;
+    try {
+      result = mutate();
+    } finally {
+      historyDepth--;
+    }
+
+    const changes = diffTasks(previousTasks, tasks);
+    const categoriesChanged = categories !== previousCategories;
+    const listsChanged = lists !== previousLists;
+    if (changes.length > 0 || categoriesChanged || listsChanged) {
+      undoStack.push({
+        label: label,
+        changes: changes,
+        categories: categoriesChanged
+          ? { before: previousCategories, after: categories }
+          : null,
+        lists: listsChanged ? { before: previousLists, after: lists } : null,
+      });
+      if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+      }
+      redoStack = [];
+      persistState();
+    }
+    return result;
+  }
+
+  /**
+   * Reverts the most recent command. Returns it, or null if there is none.
+   */
+  function undo() {
+    const command = undoStack.pop();
+    if (!command) {
+      return null;
+    }
+    applyChanges([...command.changes].reverse(), "before");
+    if (command.categories) {
+      categories = command.categories.before;
+    }
+    if (command.lists) {
+      lists = command.lists.before;
+      ensureActiveList();
+    }
+    redoStack.push(command);
+    persistState();
+    return command;
+  }
+
+  /**
+   * Re-applies the most recently undone command. Returns it, or null.
+   */
+  function redo() {
+    const command = redoStack.pop();
+    if (!command) {
+      return null;
+    }
+    applyChanges(command.changes, "after");
+    if (command.categories) {
+      categories = command.categories.after;
+    }
+    if (command.lists) {
+      lists = command.lists.after;
+      ensureActiveList();
+    }
+    undoStack.push(command);
+    persistState();
+    return command;
+  }
+
+  /**
+   * Gets the label of the command undo() would revert, or null.
+   */
+  function getUndoLabel() {
+    return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+  }
+
+  /**
+   * Gets the label of the command redo() would re-apply, or null.
+   */
+  function getRedoLabel() {
+    return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+  }
+
+  /**
+   * Tells other tabs which tasks (and whether the categories or lists) changed.
+   */
+  function broadcastChanges(changes, categoriesChanged, listsChanged) {
+    if (
+      !tabChannel ||
+      (changes.length === 0 && !categoriesChanged && !listsChanged)
+    ) {
+      return;
+    }
+    tabChannel.postMessage({
+      changes: changes.map((change) => ({ id: change.id, task: change.after })),
+      categories: categoriesChanged ? categories : null,
+      lists: listsChanged ? lists : null,
+    });
+  }
+
+  /**
+   * Drops undo and redo steps that involve tasks (or the categories or
+   * lists) changed outside this tab's history, so undo never puts back
+   * a state that was changed since.
+   */
+  function forgetHistory(
+    taskIds,
+    categoriesChanged = false,
+    listsChanged = false
+  ) {
+    const changedIds = new Set(taskIds);
+    const isAffected = (command) =>
+      command.changes.some((change) => changedIds.has(change.id)) ||
+      (categoriesChanged && command.categories !== null) ||
+      (listsChanged && command.lists !== null);
+    undoStack = undoStack.filter((command) => !isAffected(command));
+    redoStack = redoStack.filter((command) => !isAffected(command));
+  }
+
+  /**
+   * Saves a change the app made on its own (e.g. a new occurrence or a
+   * snooze). It is not undoable, and undo steps for the tasks it touched
+   * are dropped so undo cannot put back their earlier state.
+   */
+  function persistAutomaticChange() {
+    forgetHistory(
+      diffTasks(lastPersistedTasks, tasks).map((change) => change.id)
+    );
+    return persistState();
+  }
+
+  /**
+   * Applies a change made in another tab. It was queued for sync there,
+   * and is not part of this tab's undo history.
+   */
+  function applyTabChanges(message) {
+    SyncModule.reload();
+    forgetHistory(
+      message.changes.map((change) => change.id),
+      Boolean(message.categories),
+      Boolean(message.lists)
+    );
+    message.changes.forEach((change) => replaceTask(change.id, change.task));
+    if (message.categories) {
+      categories = message.categories;
+    }
+    if (message.lists) {
+      lists = message.lists;
+      ensureActiveList();
+    }
+    lastPersistedTasks = [...tasks];
+    lastPersistedCategories = categories;
+    lastPersistedLists = lists;
+    // Save too, in case this tab saved its own change in between
+    writeState();
+  }
+
+  /**
+   * Starts receiving changes from other tabs of the app. `onChange` is
+   * called with { taskIds, categoriesChanged, listsChanged } after each
+   * one is applied.
+   */
+  function listenForOtherTabs(onChange) {
+    if (!("BroadcastChannel" in window) || tabChannel) {
+      return;
+    }
+    tabChannel = new BroadcastChannel(TAB_CHANNEL_NAME);
+    tabChannel.addEventListener("message", (event) => {
+      applyTabChanges(event.data);
+      onChange({
+        taskIds: event.data.changes.map((change) => change.id),
+        categoriesChanged: Boolean(event.data.categories),
+        listsChanged: Boolean(event.data.lists),
+      });
+    });
+  }
+
+  /**
+   * Checks that a value is null or a valid date/time string.
+   */
+  function isOptionalTimestamp(value) {
+    return (
+      value === null || (typeof value === "string" && !isNaN(new Date(value)))
+    );
+  }
+
+  /**
+   * Returns why a task from outside this tab (e.g. the sync server or an
+   * import) is not valid, using the same rules as the task form, or null if
+   * it is valid.
+   */
+  function getStoredTaskError(task) {
+    const isArrayOf = (value, isValid) =>
+      Array.isArray(value) && value.every(isValid);
+
+    if (!Number.isSafeInteger(task.id)) {
+      return "ID is not a whole number";
+    }
+    if (typeof task.name !== "string" || !validateTaskName(task.name)) {
+      return "Invalid name";
+    }
+    // Tasks without a category are allowed, as in the task form
+    if (
+      typeof task.category !== "string" ||
+      (task.category !== "" && !validateCategoryName(task.category))
+    ) {
+      return "Invalid category";
+    }
+    if (!Object.keys(priorityRanks).includes(task.priority)) {
+      return "Invalid priority";
+    }
+    if (
+      typeof task.dueDate !== "string" ||
+      (task.dueDate !== "" && isNaN(new Date(task.dueDate)))
+    ) {
+      return "Invalid due date";
+    }
+    if (
+      typeof task.description !== "string" ||
+      (task.description !== "" && !validateDescription(task.description))
+    ) {
+      return "Invalid description";
+    }
+    if (
+      typeof task.completed !== "boolean" ||
+      typeof task.autoCompleteChecklist !== "boolean" ||
+      !taskStatuses.includes(task.status) ||
+      !Number.isSafeInteger(task.listId)
+    ) {
+      return "Invalid status or list";
+    }
+    if (
+      !isOptionalTimestamp(task.completedAt) ||
+      !isOptionalTimestamp(task.createdAt) ||
+      !isOptionalTimestamp(task.snoozedUntil) ||
+      !isOptionalTimestamp(task.archivedAt) ||
+      !isOptionalTimestamp(task.deletedAt)
+    ) {
+      return "Invalid timestamp";
+    }
+    // Only completed tasks have a completion time, and they always do
+    if (task.completed !== (task.completedAt !== null)) {
+      return "Completion time does not match completion";
+    }
+    if (
+      task.recurrence !== null &&
+      (typeof task.recurrence !== "object" ||
+        !validateRecurrence(task.recurrence, task.dueDate) ||
+        !/^(\d{4}-\d{2}-\d{2})?$/.test(task.recurrence.endDate || "") ||
+        !Number.isInteger(task.recurrence.occurrence) ||
+        !Number.isInteger(task.recurrence.monthDay))
+    ) {
+      return "Invalid repeat rule";
+    }
+    if (
+      !isArrayOf(
+        task.checklist,
+        (item) =>
+          Number.isSafeInteger(item.id) &&
+          typeof item.text === "string" &&
+          validateChecklistItem(item.text)
+      ) ||
+      !isArrayOf(
+        task.reminders,
+        (reminder) =>
+          Number.isInteger(reminder.offsetMinutes) &&
+          isOptionalTimestamp(reminder.firedAt)
+      ) ||
+      !isArrayOf(
+        task.tags,
+        (tag) => typeof tag === "string" && validateTag(tag)
+      )
+    ) {
+      return "Invalid checklist, reminders or tags";
+    }
+    if (
+      !isArrayOf(task.dependsOn, Number.isSafeInteger) ||
+      !isArrayOf(
+        task.timeEntries,
+        (entry) =>
+          isOptionalTimestamp(entry.start) &&
+          entry.start !== null &&
+          isOptionalTimestamp(entry.end)
+      ) ||
+      (task.estimateMinutes !== null && !validateEstimate(task.estimateMinutes))
+    ) {
+      return "Invalid prerequisites or time tracking";
+    }
+    return null;
+  }
+
+  /**
+   * Turns a task from the server back into a local task, or null when it
+   * is not a valid task (it is then left out).
+   */
+  function fromServerTask(remoteTask) {
+    if (!remoteTask || typeof remoteTask !== "object") {
+      return null;
+    }
+    const { revision, updatedAt, ...fields } = remoteTask;
+    const task = StorageModule.normalizeTask(fields);
+    const error = getStoredTaskError(task);
+    if (error) {
+      console.error(`Ignoring task ${task.id} from the sync server:`, error);
+      return null;
+    }
+    return task;
+  }
+
+  /**
+   * Replaces, adds or (with null) removes a task by ID without recording
+   * an undo step.
+   */
+  function replaceTask(taskId, task) {
+    const taskIndex = tasks.findIndex((item) => item.id === taskId);
+    if (task === null) {
+      if (taskIndex !== -1) {
+        tasks.splice(taskIndex, 1);
+      }
+    } else if (taskIndex === -1) {
+      tasks.push(task);
+    } else {
+      tasks[taskIndex] = task;
+    }
+  }
+
+  /**
+   * Merges the server's tasks into the local list. Tasks with unpushed
+   * changes or an open conflict keep their local state; tasks deleted on
+   * the server are removed. Returns true when local tasks changed.
+   */
+  function applyRemoteTasks(remoteTasks) {
+    const remoteIds = new Set(
+      remoteTasks.map((remoteTask) => remoteTask && remoteTask.id)
+    );
+    const hasLocalChanges = (taskId) =>
+      SyncModule.isQueued(taskId) || SyncModule.getConflict(taskId) !== null;
+    let changed = false;
+
+    remoteTasks.forEach((remoteTask) => {
+      const task = fromServerTask(remoteTask);
+      if (!task) {
+        return;
+      }
+      const exists = tasks.some((item) => item.id === task.id);
+      if (
+        hasLocalChanges(task.id) ||
+        (exists && SyncModule.getRevision(task.id) === remoteTask.revision)
+      ) {
+        return;
+      }
+      replaceTask(task.id, task);
+      SyncModule.setRevision(remoteTask.id, remoteTask.revision);
+      changed = true;
+    });
+
+    tasks
+      .filter(
+        (task) =>
+          SyncModule.isKnown(task.id) &&
+          !remoteIds.has(task.id) &&
+          !hasLocalChanges(task.id)
+      )
+      .forEach((task) => {
+        replaceTask(task.id, null);
+        SyncModule.setRevision(task.id, null);
+        changed = true;
+      });
+
+    if (changed) {
+      persistState(true);
+    }
+    return changed;
+  }
+
+  /**
+   * Pushes queued local changes to the sync endpoint, then pulls the
+   * server's tasks. Changes made while offline stay queued for the next
+   * run. Resolves to true when local tasks changed.
+   */
+  async function syncTasks() {
+    if (!SyncModule.isEnabled() || isSyncing) {
+      return false;
+    }
+    // One tab syncs at a time; skip this round if another one is
+    if (navigator.locks) {
+      return navigator.locks.request(
+        SYNC_LOCK_NAME,
+        { ifAvailable: true },
+        (lock) => (lock ? runSync() : false)
+      );
+    }
+    return runSync();
+  }
+
+  /**
+   * Runs one sync round (see syncTasks).
+   */
+  async function runSync() {
+    isSyncing = true;
+    SyncModule.reload();
+    SyncModule.setStatus("syncing");
+    try {
+      // Tasks that never reached this server (e.g. added before sync was on)
+      tasks.forEach((task) => {
+        if (!SyncModule.isKnown(task.id) && !SyncModule.isQueued(task.id)) {
+          SyncModule.queueTask(task.id);
+        }
+      });
+      await SyncModule.pushQueue(
+        (taskId) => tasks.find((task) => task.id === taskId) || null
+      );
+      const changed = applyRemoteTasks(await SyncModule.fetchTasks());
+      SyncModule.setStatus("idle");
+      return changed;
+    } catch (error) {
+      // fetch rejects with a TypeError when the server cannot be reached
+      const isOffline =
+        error.name === "TypeError" || error.name === "AbortError";
+      SyncModule.setStatus(isOffline ? "offline" : "error", error.message);
+      return false;
+    } finally {
+      isSyncing = false;
+    }
+  }
+
+  /**
+   * Lists sync conflicts as { taskId, local, remote }; either side is null
+   * when that side deleted the task.
+   */
+  function getSyncConflicts() {
+    return SyncModule.getConflicts().map((conflict) => ({
+      taskId: conflict.taskId,
+      local: getTaskById(conflict.taskId) || null,
+      remote: conflict.remote,
+    }));
+  }
+
+  /**
+   * Resolves a sync conflict by keeping "local" (pushed over the server's
+   * copy on the next sync) or "remote" (replaces the local task). Returns
+   * false when the server's copy is not a valid task and cannot be kept.
+   */
+  function resolveSyncConflict(taskId, keep) {
+    const conflict = SyncModule.getConflict(taskId);
+    if (!conflict) {
+      return false;
+    }
+    const remoteTask = conflict.remote ? fromServerTask(conflict.remote) : null;
+    if (keep !== "local" && conflict.remote && !remoteTask) {
+      return false;
+    }
+
+    if (keep === "local") {
+      SyncModule.setRevision(taskId, conflict.revision);
+      SyncModule.queueTask(taskId);
+    } else {
+      replaceTask(taskId, remoteTask);
+      SyncModule.setRevision(
+        taskId,
+        conflict.remote ? conflict.revision : null
+      );
+      SyncModule.unqueueTask(taskId);
+      persistState(true);
+    }
+    SyncModule.removeConflict(taskId);
+    return true;
+  }
+
+  /**
+   * Generates a timestamp-based task ID that is not already in use.
+   */
+  function generateTaskId() {
+    let id = Date.now();
+    while (tasks.some((task) => task.id === id)) {
+      id++;
+    }
+    return id;
+  }
+
+  /**
+   * Builds a task's recurrence from repeat settings
+   * ({ frequency, interval, endDate, count }), keeping the series
+   * position of an existing recurrence when a task is edited.
+   */
+  function createRecurrence(repeat, dueDate, seriesId, previous = null) {
+    if (!repeat) {
+      return null;
+    }
+    return {
+      frequency: repeat.frequency,
+      interval: Number(repeat.interval) || 1,
+      endDate: repeat.endDate || null,
+      count: repeat.count ? Number(repeat.count) : null,
+      // Day of month to aim for, so Jan 31 -> Feb 28 -> Mar 31
+      monthDay: new Date(dueDate).getDate(),
+      occurrence: previous ? previous.occurrence : 1,
+      seriesId: previous ? previous.seriesId : seriesId,
+      nextCreated: previous ? previous.nextCreated : false,
+    };
+  }
+
+  /**
+   * Advances a date by one recurrence interval.
+   */
+  function addRecurrenceInterval(date, recurrence) {
+    const next = new Date(date);
+    if (recurrence.frequency === "daily") {
+      next.setDate(next.getDate() + recurrence.interval);
+    } else if (recurrence.frequency === "weekly") {
+      next.setDate(next.getDate() + recurrence.interval * 7);
+    } else {
+      next.setDate(1);
+      next.setMonth(next.getMonth() + recurrence.interval);
+      const daysInMonth = new Date(
+        next.getFullYear(),
+        next.getMonth() + 1,
+        0
+      ).getDate();
+      next.setDate(Math.min(recurrence.monthDay, daysInMonth));
+    }
+    return next;
+  }
+
+  /**
+   * Finds the next occurrence of a recurring task that is due after `now`,
+   * skipping missed ones. Returns null when the series has ended.
+   */
+  function getNextOccurrence(task, now = new Date()) {
+    const recurrence = task.recurrence;
+    const endDate = recurrence.endDate
+      ? new Date(`${recurrence.endDate}T23:59:59`)
+      : null;
+    let dueDate = new Date(task.dueDate);
+    let occurrence = recurrence.occurrence;
+
+    if (isNaN(dueDate)) {
+      return null;
+    }
+
+    do {
+      dueDate = addRecurrenceInterval(dueDate, recurrence);
+      occurrence++;
+      if (recurrence.count && occurrence > recurrence.count) {
+        return null;
+      }
+      if (endDate && dueDate > endDate) {
+        return null;
+      }
+    } while (dueDate <= now);
+
+    return { dueDate: formatDateTimeLocal(dueDate), occurrence: occurrence };
+  }
+
+  /**
+   * Creates the next occurrence of a recurring task, once per task.
+   */
+  function createNextOccurrence(taskIndex, now = new Date()) {
+    const task = tasks[taskIndex];
+    if (!task.recurrence || task.recurrence.nextCreated) {
+      return null;
+    }
+
+    const next = getNextOccurrence(task, now);
+    tasks[taskIndex] = {
+      ...task,
+      recurrence: { ...task.recurrence, nextCreated: true },
+    };
+    if (!next) {
+      return null;
+    }
+
+    const nextTask = {
+      ...task,
+      id: generateTaskId(),
+      dueDate: next.dueDate,
+      completed: false,
+      completedAt: null,
+      createdAt: new Date().toISOString(),
+      status: "todo",
+      timeEntries: [],
+      checklist: (task.checklist || []).map((item) => ({
+        ...item,
+        done: false,
+      })),
+      reminders: createReminders(
+        (task.reminders || []).map((reminder) => reminder.offsetMinutes)
+      ),
+      snoozedUntil: null,
+      recurrence: {
+        ...task.recurrence,
+        occurrence: next.occurrence,
+        nextCreated: false,
+      },
+    };
+    tasks.push(nextTask);
+    return nextTask;
+  }
+
+  /**
+   * Creates next occurrences for recurring tasks whose due date has passed.
+   * Returns the newly created tasks.
+   */
+  function processRecurrences(now = new Date()) {
+    const created = [];
+    tasks.forEach((task, taskIndex) => {
+      if (
+        task.recurrence &&
+        !task.recurrence.nextCreated &&
+        !task.completed &&
+        !task.deletedAt &&
+        new Date(task.dueDate) < now
+      ) {
+        const nextTask = createNextOccurrence(taskIndex, now);
+        if (nextTask) {
+          created.push(nextTask);
+        }
+      }
+    });
+
+    if (created.length > 0) {
+      persistAutomaticChange();
+    }
+    return created;
+  }
+
+  /**
+   * Builds a task's reminders from minute offsets before the due time.
+   * Reminders that already fired for the same offset stay fired unless
+   * `rearm` is set (e.g. after the due date changed).
+   */
+  function createReminders(offsets, previous = [], rearm = false) {
+    const uniqueOffsets = Array.from(new Set(offsets.map(Number)))
+      .filter((offset) => Number.isInteger(offset) && offset > 0)
+      .sort((a, b) => b - a);
+    return uniqueOffsets.map((offset) => {
+      const existing = previous.find((item) => item.offsetMinutes === offset);
+      return {
+        offsetMinutes: offset,
+        firedAt: existing && !rearm ? existing.firedAt : null,
+      };
+    });
+  }
+
+  /**
+   * Finds reminders that are due and marks them as fired so each one is
+   * delivered once, even across reloads. Snoozed reminders come back when
+   * their snooze ends. Returns [{ task, offsetMinutes }] (offsetMinutes is
+   * null for a snoozed reminder).
+   */
+  function collectDueReminders(now = new Date()) {
+    const due = [];
+    const firedAt = now.toISOString();
+
+    tasks.forEach((task, taskIndex) => {
+      // Archived lists are put away, reminders included
+      if (
+        task.completed ||
+        task.deletedAt ||
+        getList(getTaskListId(task)).archived
+      ) {
+        return;
+      }
+      const dueTime = new Date(task.dueDate).getTime();
+
+      if (task.snoozedUntil && new Date(task.snoozedUntil) <= now) {
+        tasks[taskIndex] = { ...task, snoozedUntil: null };
+        due.push({ task: tasks[taskIndex], offsetMinutes: null });
+        return;
+      }
+
+      // Reminders only make sense before the task is overdue
+      const pending = (task.reminders || []).filter(
+        (reminder) =>
+          !reminder.firedAt &&
+          dueTime - reminder.offsetMinutes * 60000 <= now.getTime() &&
+          now.getTime() < dueTime
+      );
+      if (pending.length === 0) {
+        return;
+      }
+
+      tasks[taskIndex] = {
+        ...task,
+        reminders: task.reminders.map((reminder) =>
+          pending.includes(reminder)
+            ? { ...reminder, firedAt: firedAt }
+            : reminder
+        ),
+      };
+      // When several are due at once (e.g. after a reload), only the
+      // closest one is worth showing
+      const closest = pending[pending.length - 1];
+      due.push({
+        task: tasks[taskIndex],
+        offsetMinutes: closest.offsetMinutes,
+      });
+    });
+
+    if (due.length > 0) {
+      persistAutomaticChange();
+    }
+    return due;
+  }
+
+  /**
+   * Postpones a task's reminder by a number of minutes.
+   */
+  function snoozeReminder(taskId, minutes) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return;
+    }
+    tasks[taskIndex] = {
+      ...tasks[taskIndex],
+      snoozedUntil: new Date(Date.now() + minutes * 60000).toISOString(),
+    };
+    persistAutomaticChange();
+  }
+
+  /**
+   * Adds a new task to the tasks array.
+   * `details` holds optional extras: repeat, checklist, autoCompleteChecklist,
+   * reminders (minutes before the due time), listId (default: active list).
+   */
+  function addTask(
+    name,
+    category,
+    priority,
+    dueDate,
+    description,
+    details = {}
+  ) {
+    return recordChange("Add task", () => {
+      const id = generateTaskId();
+      tasks.push({
+        id: id,
+        name: name,
+        category: category,
+        priority: priority,
+        dueDate: dueDate,
+        description: description,
+        completed: false,
+        completedAt: null,
+        createdAt: new Date().toISOString(),
+        status: "todo",
+        recurrence: createRecurrence(details.repeat, dueDate, id),
+        checklist: normalizeChecklist(details.checklist || []),
+        autoCompleteChecklist: Boolean(details.autoCompleteChecklist),
+        reminders: createReminders(details.reminders || []),
+        snoozedUntil: null,
+        tags: normalizeTags(details.tags || []),
+        dependsOn: normalizeDependencies(details.dependsOn || [], id),
+        timeEntries: [],
+        estimateMinutes: details.estimateMinutes
+          ? Number(details.estimateMinutes)
+          : null,
+        listId: details.listId === undefined ? activeListId : details.listId,
+        archivedAt: null,
+        deletedAt: null,
+      });
+      applyChecklistAutoComplete(tasks.length - 1);
+      return getTaskById(id);
+    });
+  }
+
+  /**
+   * Updates an existing task in the tasks array.
+   * Only the `details` extras that are given are changed.
+   */
+  function updateTask(
+    taskId,
+    name,
+    category,
+    priority,
+    dueDate,
+    description,
+    details = {}
+  ) {
+    recordChange("Edit task", () => {
+      const taskIndex = tasks.findIndex((task) => task.id === taskId);
+      if (taskIndex !== -1) {
+        const task = tasks[taskIndex];
+        tasks[taskIndex] = {
+          ...task,
+          name: name,
+          category: category,
+          priority: priority,
+          dueDate: dueDate,
+          description: description,
+          recurrence:
+            details.repeat === undefined
+              ? task.recurrence
+              : createRecurrence(
+                  details.repeat,
+                  dueDate,
+                  taskId,
+                  task.recurrence
+                ),
+          checklist:
+            details.checklist === undefined
+              ? task.checklist
+              : normalizeChecklist(details.checklist),
+          autoCompleteChecklist:
+            details.autoCompleteChecklist === undefined
+              ? task.autoCompleteChecklist
+              : Boolean(details.autoCompleteChecklist),
+          reminders: createReminders(
+            details.reminders === undefined
+              ? task.reminders.map((reminder) => reminder.offsetMinutes)
+              : details.reminders,
+            task.reminders,
+            dueDate !== task.dueDate
+          ),
+          tags:
+            details.tags === undefined
+              ? task.tags
+              : normalizeTags(details.tags),
+          dependsOn:
+            details.dependsOn === undefined
+              ? task.dependsOn
+              : normalizeDependencies(details.dependsOn, taskId),
+          estimateMinutes:
+            details.estimateMinutes === undefined
+              ? task.estimateMinutes
+              : Number(details.estimateMinutes) || null,
+          listId: details.listId === undefined ? task.listId : details.listId,
+        };
+        applyChecklistAutoComplete(taskIndex);
+      }
+    });
+  }
+
+  /**
+   * Marks the task at an index as completed or not; completing a
+   * recurring task creates its next occurrence.
+   */
+  function setTaskCompleted(taskIndex, completed, completedAt = null) {
+    tasks[taskIndex] = {
+      ...tasks[taskIndex],
+      completed: completed,
+      completedAt: completed ? completedAt || new Date().toISOString() : null,
+      status: completed ? "done" : "todo",
+    };
+    if (completed) {
+      stopTaskTimer(taskIndex);
+      createNextOccurrence(taskIndex);
+    }
+  }
+
+  /**
+   * Flips a task between completed and not completed.
+   */
+  function toggleTaskCompleted(taskId) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return null;
+    }
+
+    const completed = !tasks[taskIndex].completed;
+    return recordChange(completed ? "Complete task" : "Reopen task", () => {
+      setTaskCompleted(taskIndex, completed);
+      return tasks[taskIndex];
+    });
+  }
+
+  /**
+   * Completes or reopens a task. A known completion time (e.g. from an
+   * import) is kept instead of the current time.
+   */
+  function setTaskCompletion(taskId, completed, completedAt = null) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return null;
+    }
+
+    return recordChange(completed ? "Complete task" : "Reopen task", () => {
+      setTaskCompleted(taskIndex, completed, completedAt);
+      return tasks[taskIndex];
+    });
+  }
+
+  /**
+   * Restores the stored fields of an imported task that the task form does
+   * not set directly (repeat rule, checklist, reminders, time entries, ...).
+   * Fields that are not given keep their value; prerequisites and lists that
+   * do not exist here are dropped. Returns the task, or null when the result
+   * would not be a valid task.
+   */
+  function restoreTaskDetails(taskId, details) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return null;
+    }
+
+    const task = tasks[taskIndex];
+    const restored = { ...task };
+    restorableTaskFields.forEach((field) => {
+      if (details[field] !== undefined) {
+        restored[field] = details[field];
+      }
+    });
+    if (getStoredTaskError(restored)) {
+      return null;
+    }
+
+    // Completion was already set by the import; keep the status in step
+    if ((restored.status === "done") !== restored.completed) {
+      restored.status = task.status;
+    }
+    if (!lists.some((list) => list.id === restored.listId)) {
+      restored.listId = task.listId;
+    }
+    restored.dependsOn = restored.dependsOn.filter(
+      (id) => id !== taskId && getTaskById(id)
+    );
+    if (wouldCreateCycle(taskId, restored.dependsOn)) {
+      restored.dependsOn = task.dependsOn;
+    }
+    // A timer that was running when the file was exported is not resumed
+    restored.timeEntries = restored.timeEntries.filter(
+      (entry) => entry.end !== null
+    );
+
+    return recordChange("Edit task", () => {
+      tasks[taskIndex] = restored;
+      return tasks[taskIndex];
+    });
+  }
+
+  /**
+   * Sets a task's workflow status ("todo", "in-progress" or "done").
+   * Moving to or from "done" completes or reopens the task.
+   */
+  function setTaskStatus(taskId, status) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1 || !taskStatuses.includes(status)) {
+      return null;
+    }
+
+    return recordChange(`Move task to ${statusTitles[status]}`, () => {
+      const completed = status === "done";
+      if (tasks[taskIndex].completed !== completed) {
+        setTaskCompleted(taskIndex, completed);
+      }
+      tasks[taskIndex] = { ...tasks[taskIndex], status: status };
+      return tasks[taskIndex];
+    });
+  }
+
+  /**
+   * Moves a task into a board column, changing the field the board is
+   * grouped by (status, category or priority).
+   */
+  function moveTaskToColumn(taskId, columnValue) {
+    const task = getTaskById(taskId);
+    if (!task || getBoardValue(task) === columnValue) {
+      return task || null;
+    }
+    if (boardGroupBy === "status") {
+      return setTaskStatus(taskId, columnValue);
+    }
+
+    const category = boardGroupBy === "category" ? columnValue : task.category;
+    const priority = boardGroupBy === "priority" ? columnValue : task.priority;
+    updateTask(
+      taskId,
+      task.name,
+      category,
+      priority,
+      task.dueDate,
+      task.description
+    );
+    return getTaskById(taskId);
+  }
+
+  /**
+   * Moves a task to another day (YYYY-MM-DD), keeping its due time.
+   */
+  function rescheduleTask(taskId, dateKey) {
+    const task = getTaskById(taskId);
+    if (!task || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) {
+      return null;
+    }
+
+    const dueDate = dateKey + task.dueDate.slice(10);
+    if (dueDate !== task.dueDate) {
+      updateTask(
+        taskId,
+        task.name,
+        task.category,
+        task.priority,
+        dueDate,
+        task.description
+      );
+    }
+    return getTaskById(taskId);
+  }
+
+  /**
+   * Cleans up checklist items ({ id, text, done }) and gives new items an ID.
+   * Items with empty text are dropped; order is preserved.
+   */
+  function normalizeChecklist(items) {
+    let nextId =
+      items.reduce((maxId, item) => Math.max(maxId, Number(item.id) || 0), 0) +
+      1;
+    return items
+      .map((item) => ({
+        id: Number(item.id) || nextId++,
+        text: String(item.text || "").trim(),
+        done: Boolean(item.done),
+      }))
+      .filter((item) => item.text !== "");
+  }
+
+  /**
+   * Validates a checklist item with the same rules as a description.
+   */
+  function validateChecklistItem(text) {
+    return validateDescription(text);
+  }
+
+  /**
+   * Validates an estimate: empty, or a whole number of minutes (1 to 99999).
+   */
+  function validateEstimate(value) {
+    if (value === "" || value === null || value === undefined) {
+      return true;
+    }
+    const minutes = Number(value);
+    return Number.isInteger(minutes) && minutes >= 1 && minutes <= 99999;
+  }
+
+  /**
+   * Gets the running timer ({ taskId, start }), or null. At most one
+   * time entry across all tasks is open (has no end) at a time.
+   */
+  function getActiveTimer() {
+    for (const task of tasks) {
+      const entry = (task.timeEntries || []).find((item) => !item.end);
+      if (entry) {
+        return { taskId: task.id, start: entry.start };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Closes the open time entry of the task at an index, if it has one.
+   */
+  function stopTaskTimer(taskIndex, now = new Date()) {
+    const task = tasks[taskIndex];
+    if (!(task.timeEntries || []).some((entry) => !entry.end)) {
+      return;
+    }
+    tasks[taskIndex] = {
+      ...task,
+      timeEntries: task.timeEntries.map((entry) =>
+        entry.end ? entry : { ...entry, end: now.toISOString() }
+      ),
+    };
+  }
+
+  /**
+   * Starts tracking time on a task, stopping any other running timer.
+   */
+  function startTimer(taskId, now = new Date()) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return null;
+    }
+
+    return recordChange("Start timer", () => {
+      tasks.forEach((task, index) => stopTaskTimer(index, now));
+      tasks[taskIndex] = {
+        ...tasks[taskIndex],
+        timeEntries: [
+          ...(tasks[taskIndex].timeEntries || []),
+          { start: now.toISOString(), end: null },
+        ],
+      };
+      return tasks[taskIndex];
+    });
+  }
+
+  /**
+   * Stops the running timer, if any.
+   */
+  function stopTimer(now = new Date()) {
+    const activeTimer = getActiveTimer();
+    if (!activeTimer) {
+      return null;
+    }
+
+    return recordChange("Stop timer", () => {
+      const taskIndex = tasks.findIndex(
+        (task) => task.id === activeTimer.taskId
+      );
+      stopTaskTimer(taskIndex, now);
+      return tasks[taskIndex];
+    });
+  }
+
+  /**
+   * Adds up a task's tracked time in minutes, counting a running timer up to now.
+   */
+  function getTrackedMinutes(task, now = new Date()) {
+    const milliseconds = (task.timeEntries || []).reduce(
+      (total, entry) =>
+        total + Math.max(0, new Date(entry.end || now) - new Date(entry.start)),
+      0
+    );
+    return Math.floor(milliseconds / 60000);
+  }
+
+  /**
+   * Totals tracked minutes per category and per day between two days
+   * (YYYY-MM-DD, inclusive). Entries that cross midnight are split by day.
+   */
+  function getTimeReport(fromDay, toDay, now = new Date()) {
+    const byCategory = {};
+    const byDay = {};
+    let totalMinutes = 0;
+
+    getUntrashedTasks().forEach((task) => {
+      (task.timeEntries || []).forEach((entry) => {
+        let start = new Date(entry.start);
+        const end = new Date(entry.end || now);
+
+        while (start < end) {
+          const nextMidnight = new Date(
+            start.getFullYear(),
+            start.getMonth(),
+            start.getDate() + 1
+          );
+          const sliceEnd = end < nextMidnight ? end : nextMidnight;
+          const day = formatDateTimeLocal(start).slice(0, 10);
+          const minutes = (sliceEnd - start) / 60000;
+
+          if (day >= fromDay && day <= toDay) {
+            byCategory[task.category] =
+              (byCategory[task.category] || 0) + minutes;
+            byDay[day] = (byDay[day] || 0) + minutes;
+            totalMinutes += minutes;
+          }
+          start = sliceEnd;
+        }
+      });
+    });
+
+    const toRows = (totals, key) =>
+      Object.keys(totals)
+        .sort()
+        .map((name) => ({ [key]: name, minutes: Math.round(totals[name]) }));
+    return {
+      byCategory: toRows(byCategory, "category"),
+      byDay: toRows(byDay, "date"),
+      totalMinutes: Math.round(totalMinutes),
+    };
+  }
+
+  /**
+   * Summarizes the list for the dashboard: counts by category and priority,
+   * open tasks split into overdue / due within a week / later / no due date,
+   * the share of tasks due in each of the last weeks that got completed, and
+   * how late completed tasks were finished on average.
+   */
+  function getStatistics(weekCount = 8, now = new Date()) {
+    const byCategory = {};
+    const byPriority = { high: 0, medium: 0, low: 0 };
+    const open = { overdue: 0, dueSoon: 0, later: 0, noDueDate: 0 };
+    const weekAhead = new Date(now);
+    weekAhead.setDate(now.getDate() + 7);
+    const keptTasks = getUntrashedTasks();
+
+    keptTasks.forEach((task) => {
+      byCategory[task.category] = (byCategory[task.category] || 0) + 1;
+      byPriority[task.priority] = (byPriority[task.priority] || 0) + 1;
+      if (task.completed) {
+        return;
+      }
+      if (!task.dueDate) {
+        open.noDueDate++;
+      } else if (isTaskOverdue(task.dueDate)) {
+        open.overdue++;
+      } else if (new Date(task.dueDate) <= weekAhead) {
+        open.dueSoon++;
+      } else {
+        open.later++;
+      }
+    });
+
+    // Weeks start on Sunday, like the calendar
+    const thisWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    thisWeek.setDate(thisWeek.getDate() - thisWeek.getDay());
+    const weeks = [];
+    for (let offset = weekCount - 1; offset >= 0; offset--) {
+      const start = new Date(thisWeek);
+      start.setDate(thisWeek.getDate() - offset * 7);
+      const end = new Date(start);
+      end.setDate(start.getDate() + 7);
+      const due = keptTasks.filter((task) => {
+        const dueDate = new Date(task.dueDate);
+        return dueDate >= start && dueDate < end;
+      });
+      const completed = due.filter((task) => task.completed).length;
+      weeks.push({
+        weekStart: formatDateTimeLocal(start).slice(0, 10),
+        due: due.length,
+        completed,
+        rate:
+          due.length > 0 ? Math.round((completed / due.length) * 100) : null,
+      });
+    }
+
+    // Only tasks with a due date can be finished late or on time
+    const completedTasks = keptTasks.filter(
+      (task) => task.completed && task.completedAt && task.dueDate
+    );
+    const lateMinutes = completedTasks
+      .map(
+        (task) => (new Date(task.completedAt) - new Date(task.dueDate)) / 60000
+      )
+      .filter((minutes) => minutes > 0);
+
+    return {
+      total: keptTasks.length,
+      completed: keptTasks.filter((task) => task.completed).length,
+      byCategory: Object.keys(byCategory)
+        .sort()
+        .map((category) => ({ category, count: byCategory[category] })),
+      byPriority: Object.keys(byPriority).map((priority) => ({
+        priority,
+        count: byPriority[priority],
+      })),
+      open,
+      weeks,
+      lateCount: lateMinutes.length,
+      onTimeCount: completedTasks.length - lateMinutes.length,
+      averageLatenessMinutes:
+        lateMinutes.length > 0
+          ? Math.round(
+              lateMinutes.reduce((total, minutes) => total + minutes, 0) /
+                lateMinutes.length
+            )
+          : 0,
+    };
+  }
+
+  /**
+   * Counts checked and total checklist items of a task.
+   */
+  function getChecklistProgress(task) {
+    const checklist = task.checklist || [];
+    return {
+      done: checklist.filter((item) => item.done).length,
+      total: checklist.length,
+    };
+  }
+
+  /**
+   * Completes a task whose checklist is fully checked, if it opted in.
+   */
+  function applyChecklistAutoComplete(taskIndex) {
+    const task = tasks[taskIndex];
+    const { done, total } = getChecklistProgress(task);
+    if (
+      task.autoCompleteChecklist &&
+      !task.completed &&
+      total > 0 &&
+      done === total
+    ) {
+      setTaskCompleted(taskIndex, true);
+    }
+  }
+
+  /**
+   * Moves a task to the trash, where it can be restored until the
+   * retention period ends.
+   */
+  function removeTask(taskId) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1) {
+      return;
+    }
+    recordChange("Delete task", () => {
+      trashTaskAt(taskIndex);
+    });
+  }
+
+  /**
+   * Marks the task at an index as deleted, stopping its timer.
+   * Tasks already in the trash keep their deletion time.
+   */
+  function trashTaskAt(taskIndex, now = new Date()) {
+    if (tasks[taskIndex].deletedAt) {
+      return;
+    }
+    stopTaskTimer(taskIndex, now);
+    tasks[taskIndex] = { ...tasks[taskIndex], deletedAt: now.toISOString() };
+  }
+
+  /**
+   * Checks whether a task belongs in the task list, i.e. it is neither
+   * archived nor in the trash.
+   */
+  function isTaskLive(task) {
+    return !task.archivedAt && !task.deletedAt;
+  }
+
+  /**
+   * Gets the tasks that are not in the trash (archived ones included).
+   */
+  function getUntrashedTasks() {
+    return tasks.filter((task) => !task.deletedAt);
+  }
+
+  /**
+   * Validates a retention period: whole days from `minimum` up to a year.
+   */
+  function validateRetentionDays(days, minimum) {
+    return (
+      Number.isInteger(days) && days >= minimum && days <= MAX_RETENTION_DAYS
+    );
+  }
+
+  /**
+   * Gets how long deleted tasks are kept and after how many days
+   * completed tasks are archived (0 = never).
+   */
+  function getRetentionSettings() {
+    return {
+      trashRetentionDays: trashRetentionDays,
+      archiveAfterDays: archiveAfterDays,
+    };
+  }
+
+  /**
+   * Sets how many days (at least 1) deleted tasks stay in the trash and
+   * remembers it. Invalid values keep the current setting.
+   */
+  function setTrashRetentionDays(days) {
+    if (validateRetentionDays(days, 1)) {
+      trashRetentionDays = days;
+      StorageModule.savePreference("trashRetentionDays", trashRetentionDays);
+    }
+    return trashRetentionDays;
+  }
+
+  /**
+   * Sets how many days after completion tasks are archived (0 = never)
+   * and remembers it. Invalid values keep the current setting.
+   */
+  function setArchiveAfterDays(days) {
+    if (validateRetentionDays(days, 0)) {
+      archiveAfterDays = days;
+      StorageModule.savePreference("archiveAfterDays", archiveAfterDays);
+    }
+    return archiveAfterDays;
+  }
+
+  /**
+   * Gets when a task in the trash will be deleted for good.
+   */
+  function getPurgeDate(task) {
+    return new Date(
+      new Date(task.deletedAt).getTime() + trashRetentionDays * DAY_MS
+    );
+  }
+
+  /**
+   * Lists the tasks in the trash, most recently deleted first.
+   */
+  function getTrashedTasks() {
+    return tasks
+      .filter((task) => task.deletedAt)
+      .sort((a, b) => compareText(b.deletedAt, a.deletedAt));
+  }
+
+  /**
+   * Lists archived tasks whose name or description contains every word
+   * of `text`, most recently completed first.
+   */
+  function getArchivedTasks(text = "") {
+    const filter = { ...createDefaultFilter(), text: text };
+    return tasks
+      .filter(
+        (task) =>
+          task.archivedAt && !task.deletedAt && matchesFilter(task, filter)
+      )
+      .sort((a, b) => compareDates(b.completedAt, a.completedAt));
+  }
+
+  /**
+   * Checks whether a task can come back to its list without clashing
+   * with the name of a task already there.
+   */
+  function canReturnToList(task) {
+    return !isTaskNameDuplicate(task.name, task.id, getTaskListId(task));
+  }
+
+  /**
+   * Takes a task out of the trash, back to its list (or to the archive if
+   * it was archived). Returns false when its name is taken in the list.
+   */
+  function restoreTask(taskId) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (taskIndex === -1 || !tasks[taskIndex].deletedAt) {
+      return false;
+    }
+    const task = tasks[taskIndex];
+    if (!task.archivedAt && !canReturnToList(task)) {
+      return false;
+    }
+
+    recordChange("Restore task", () => {
+      tasks[taskIndex] = { ...task, deletedAt: null };
+    });
+    return true;
+  }
+
+  /**
+   * Reopens an archived task, returning it to its list. Returns false
+   * when its name is taken in the list.
+   */
+  function reopenArchivedTask(taskId) {
+    const taskIndex = tasks.findIndex((task) => task.id === taskId);
+    if (
+      taskIndex === -1 ||
+      !tasks[taskIndex].archivedAt ||
+      !canReturnToList(tasks[taskIndex])
+    ) {
+      return false;
+    }
+
+    recordChange("Reopen task", () => {
+      tasks[taskIndex] = { ...tasks[taskIndex], archivedAt: null };
+      setTaskCompleted(taskIndex, false);
+    });
+    return true;
+  }
+
+  /**
+   * Deletes a task in the trash for good.
+   */
+  function purgeTask(taskId) {
+    recordChange("Delete task permanently", () => {
+      tasks = tasks.filter((task) => task.id !== taskId || !task.deletedAt);
+    });
+  }
+
+  /**
+   * Deletes every task in the trash for good.
+   */
+  function emptyTrash() {
+    recordChange("Empty trash", () => {
+      tasks = tasks.filter((task) => !task.deletedAt);
+    });
+  }
+
+  /**
+   * Archives tasks completed more than `archiveAfterDays` ago.
+   * Returns the archived tasks.
+   */
+  function archiveCompletedTasks(now = new Date()) {
+    if (archiveAfterDays === 0) {
+      return [];
+    }
+    const cutoff = now.getTime() - archiveAfterDays * DAY_MS;
+    const archived = [];
+
+    tasks.forEach((task, taskIndex) => {
+      // Without a completion time there is no way to tell how long ago
+      // the task was completed, so it is not archived
+      if (
+        task.completed &&
+        task.completedAt &&
+        isTaskLive(task) &&
+        new Date(task.completedAt).getTime() <= cutoff
+      ) {
+        tasks[taskIndex] = { ...task, archivedAt: now.toISOString() };
+        archived.push(tasks[taskIndex]);
+      }
+    });
+
+    if (archived.length > 0) {
+      persistAutomaticChange();
+    }
+    return archived;
+  }
+
+  /**
+   * Deletes for good the tasks that stayed in the trash longer than
+   * `trashRetentionDays`. Returns the deleted tasks.
+   */
+  function purgeExpiredTrash(now = new Date()) {
+    const expired = tasks.filter(
+      (task) => task.deletedAt && getPurgeDate(task) <= now
+    );
+    if (expired.length > 0) {
+      tasks = tasks.filter((task) => !expired.includes(task));
+      persistAutomaticChange();
+    }
+    return expired;
+  }
+
+  /**
+   * Gets a task by its ID.
+   */
+  function getTaskById(taskId) {
+    return tasks.find((task) => task.id === taskId);
+  }
+
+  /**
+   * Gets a copy of all tasks that are not archived or in the trash.
+   */
+  function getAllTasks() {
+    return tasks.filter(isTaskLive);
+  }
+
+  /**
+   * Finds a task in a list by name (case-insensitive).
+   */
+  function findTaskByName(taskName, listId = activeListId) {
+    const normalizedName = taskName.toLowerCase();
+    return tasks.find(
+      (task) =>
+        task.name.toLowerCase() === normalizedName &&
+        getTaskListId(task) === listId &&
+        isTaskLive(task)
+    );
+  }
+
+  /**
+   * Gets the IDs of selected tasks that match the current filter, in list order.
+   * Tasks hidden by the filter are never affected by batch actions.
+   */
+  function getSelectedTaskIds() {
+    return getFilteredTasks()
+      .filter((task) => selectedTaskIds.has(task.id))
+      .map((task) => task.id);
+  }
+
+  /**
+   * Checks whether a task is selected.
+   */
+  function isTaskSelected(taskId) {
+    return selectedTaskIds.has(taskId);
+  }
+
+  /**
+   * Selects or deselects several tasks.
+   */
+  function setTasksSelected(taskIds, selected) {
+    taskIds.forEach((taskId) => {
+      if (selected) {
+        selectedTaskIds.add(taskId);
+      } else {
+        selectedTaskIds.delete(taskId);
+      }
+    });
+  }
+
+  /**
+   * Selects every task that matches the current filter.
+   */
+  function selectAllFiltered() {
+    setTasksSelected(
+      getFilteredTasks().map((task) => task.id),
+      true
+    );
+  }
+
+  /**
+   * Deselects all tasks.
+   */
+  function clearSelection() {
+    selectedTaskIds = new Set();
+  }
+
+  /**
+   * Describes a batch action for the undo history, e.g. "Delete 3 tasks".
+   */
+  function getBatchLabel(action, count) {
+    return `${action} ${count} ${count === 1 ? "task" : "tasks"}`;
+  }
+
+  /**
+   * Moves several tasks to the trash as one undoable change.
+   */
+  function deleteTasks(taskIds) {
+    const ids = new Set(taskIds);
+    recordChange(getBatchLabel("Delete", ids.size), () => {
+      tasks.forEach((task, taskIndex) => {
+        if (ids.has(task.id)) {
+          trashTaskAt(taskIndex);
+        }
+      });
+    });
+    setTasksSelected(taskIds, false);
+  }
+
+  /**
+   * Marks several tasks as completed as one undoable change.
+   */
+  function completeTasks(taskIds) {
+    recordChange(getBatchLabel("Complete", taskIds.length), () => {
+      taskIds.forEach((taskId) => {
+        const taskIndex = tasks.findIndex((task) => task.id === taskId);
+        if (taskIndex !== -1 && !tasks[taskIndex].completed) {
+          setTaskCompleted(taskIndex, true);
+        }
+      });
+    });
+  }
+
+  /**
+   * Applies field changes ({ category, priority, dueDate }) to one task
+   * through updateTask, so reminders and recurrences stay consistent.
+   */
+  function updateTaskFields(task, changes) {
+    const updated = { ...task, ...changes };
+    updateTask(
+      task.id,
+      updated.name,
+      updated.category,
+      updated.priority,
+      updated.dueDate,
+      updated.description
+    );
+  }
+
+  /**
+   * Moves several tasks to a category as one undoable change.
+   */
+  function setTasksCategory(taskIds, category) {
+    const normalizedCategory = category.toLowerCase();
+    recordChange(getBatchLabel("Recategorize", taskIds.length), () => {
+      taskIds.map(getTaskById).forEach((task) => {
+        if (task && task.category !== normalizedCategory) {
+          updateTaskFields(task, { category: normalizedCategory });
+        }
+      });
+    });
+  }
+
+  /**
+   * Sets the priority of several tasks as one undoable change.
+   */
+  function setTasksPriority(taskIds, priority) {
+    if (!priorityRanks[priority]) {
+      return;
+    }
+    recordChange(getBatchLabel("Reprioritize", taskIds.length), () => {
+      taskIds.map(getTaskById).forEach((task) => {
+        if (task && task.priority !== priority) {
+          updateTaskFields(task, { priority: priority });
+        }
+      });
+    });
+  }
+
+  /**
+   * Moves the due date of several tasks by whole days (negative moves
+   * earlier) as one undoable change. The time of day is kept.
+   * Tasks without a valid due date are skipped; returns how many were.
+   */
+  function shiftTasksDueDate(taskIds, days) {
+    if (!Number.isInteger(days) || days === 0) {
+      return 0;
+    }
+    const datedTasks = taskIds
+      .map(getTaskById)
+      .filter((task) => task && !isNaN(new Date(task.dueDate)));
+    const skippedCount =
+      taskIds.filter((taskId) => getTaskById(taskId)).length -
+      datedTasks.length;
+
+    recordChange(getBatchLabel("Reschedule", datedTasks.length), () => {
+      datedTasks.forEach((task) => {
+        const dueDate = new Date(task.dueDate);
+        dueDate.setDate(dueDate.getDate() + days);
+        updateTaskFields(task, { dueDate: formatDateTimeLocal(dueDate) });
+      });
+    });
+    return skippedCount;
+  }
+
+  /**
+   * Gets the active list's tasks, filtered and sorted by current settings.
+   */
+  function getFilteredTasks(filter = taskFilter) {
+    const filteredTasks = tasks.filter(
+      (task) =>
+        isTaskLive(task) &&
+        getTaskListId(task) === activeListId &&
+        matchesFilter(task, filter)
+    );
+
+    filteredTasks.sort(compareTasks);
+
+    return filteredTasks;
+  }
+
+  /**
+   * Formats a Date as a datetime-local input value (YYYY-MM-DDTHH:mm).
+   */
+  function formatDateTimeLocal(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return (
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+        date.getDate()
+      )}` + `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+    );
+  }
+
+  /**
+   * Calculates the human-readable time remaining until a due date.
+   */
+  function getTimeRemaining(dueDate) {
+    const now = new Date();
+    const diff = dueDate - now;
+
+    if (diff <= 0) {
+      return "Overdue";
+    }
+
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+    const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+
+    if (days > 0) {
+      return `${days}d ${hours}h ${minutes}m`;
+    } else if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    } else {
+      return `${minutes}m`;
+    }
+  }
+
+  /**
+   * Checks if a task is overdue.
+   */
+  function isTaskOverdue(dueDate) {
+    return new Date(dueDate) < new Date();
+  }
+
+  // Return public API
+  return {
+    getEditingTaskId,
+    setEditingTaskId,
+    getFocusedTaskId,
+    setFocusedTaskId,
+    getSortKeys,
+    setSortKeys,
+    getDisplayMode,
+    setDisplayMode,
+    getBoardGroupBy,
+    setBoardGroupBy,
+    getBoardColumns,
+    getCalendarMode,
+    setCalendarMode,
+    getCalendarDate,
+    shiftCalendar,
+    getCalendarDays,
+    getFilter,
+    setFilter,
+    resetFilter,
+    isFilterActive,
+    filterToSearchParams,
+    filterFromSearchParams,
+    getAvailableCategories,
+    getCategory,
+    getCategories,
+    getCategoryIcons,
+    validateCategoryName,
+    isCategoryNameDuplicate,
+    countTasksInCategory,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    getLists,
+    getList,
+    getActiveListId,
+    getTaskListId,
+    getTaskIdsInList,
+    validateListName,
+    isListNameDuplicate,
+    addList,
+    renameList,
+    setListArchived,
+    deleteList,
+    switchList,
+    getMoveConflicts,
+    moveTasksToList,
+    isTaskNameDuplicate,
+    validateTaskName,
+    validateDescription,
+    validateTag,
+    normalizeTags,
+    getAllTags,
+    parseQuickAdd,
+    validateDependencies,
+    getBlockingTasks,
+    isTaskReady,
+    getLatePrerequisites,
+    validateRecurrence,
+    validateChecklistItem,
+    getChecklistProgress,
+    validateEstimate,
+    getActiveTimer,
+    startTimer,
+    stopTimer,
+    getTrackedMinutes,
+    getTimeReport,
+    getStatistics,
+    hydrate,
+    getLoadError,
+    listenForOtherTabs,
+    syncTasks,
+    getSyncConflicts,
+    resolveSyncConflict,
+    addTask,
+    updateTask,
+    toggleTaskCompleted,
+    setTaskCompletion,
+    restoreTaskDetails,
+    setTaskStatus,
+    moveTaskToColumn,
+    rescheduleTask,
+    getSelectedTaskIds,
+    isTaskSelected,
+    setTasksSelected,
+    selectAllFiltered,
+    clearSelection,
+    deleteTasks,
+    completeTasks,
+    setTasksCategory,
+    setTasksPriority,
+    shiftTasksDueDate,
+    processRecurrences,
+    collectDueReminders,
+    snoozeReminder,
+    removeTask,
+    isTaskLive,
+    validateRetentionDays,
+    getRetentionSettings,
+    setTrashRetentionDays,
+    setArchiveAfterDays,
+    getPurgeDate,
+    getTrashedTasks,
+    getArchivedTasks,
+    restoreTask,
+    reopenArchivedTask,
+    purgeTask,
+    emptyTrash,
+    archiveCompletedTasks,
+    purgeExpiredTrash,
+    recordChange,
+    undo,
+    redo,
+    getUndoLabel,
+    getRedoLabel,
+    getTaskById,
+    getAllTasks,
+    findTaskByName,
+    getStoredTaskError,
+    getFilteredTasks,
+    formatDateTimeLocal,
+    getTimeRemaining,
+    isTaskOverdue,
+  };
+})();
+
+/* ============================================================
+   TRANSFER MODULE
+   Handles importing and exporting task data
+   ============================================================ */
+
+const TransferModule = (() => {
+  // Exported Fields (CSV column order)
+  const exportFields = [
+    "id",
+    "name",
+    "category",
+    "priority",
+    "dueDate",
+    "description",
+    "completed",
+    "completedAt",
+  ];
+  const validPriorities = ["low", "medium", "high"];
+
+  // iCalendar PRIORITY values (RFC 5545: 1-4 high, 5 medium, 6-9 low)
+  const icsPriorities = { high: 1, medium: 5, low: 9 };
+  const ICS_PRODUCT_ID = "-//Dynamic Task Manager//EN";
+  const ICS_EVENT_MINUTES = 30;
+  const ICS_LINE_OCTETS = 75; // Longest content line before folding
+
+  /**
+   * Serializes tasks to a JSON document.
+   */
+  function exportToJson(tasks) {
+    return JSON.stringify(
+      {
+        version: StorageModule.SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        tasks: tasks,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Quotes a CSV cell when it contains separators, quotes or line breaks.
+   */
+  function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Serializes tasks to CSV with a header row.
+   */
+  function exportToCsv(tasks) {
+    const rows = tasks.map((task) =>
+      exportFields.map((field) => escapeCsvValue(task[field])).join(",")
+    );
+    return [exportFields.join(","), ...rows].join("\r\n");
+  }
+
+  /**
+   * Splits CSV text into rows of cells, honoring quoted values.
+   */
+  function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+  }
+
+  /**
+   * Parses CSV text into plain records keyed by the header row.
+   */
+  function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+      return [];
+    }
+    const keys = header.map((key) => key.trim());
+    return rows.map((cells) =>
+      keys.reduce((record, key, index) => {
+        record[key] = cells[index] !== undefined ? cells[index] : "";
+        return record;
+      }, {})
+    );
+  }
+
+  /**
+   * Parses a JSON export (or a bare array of tasks) into plain records.
+   */
+  function parseJson(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data && data.tasks;
+    if (!Array.isArray(records)) {
+      throw new Error("JSON file does not contain a task list");
+    }
+    return records;
+  }
+
+  /**
+   * Escapes text for an iCalendar property value.
+   */
+  function escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  /**
+   * Reverses escapeIcsText.
+   */
+  function unescapeIcsText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) =>
+      char === "n" || char === "N" ? "\n" : char
+    );
+  }
+
+  /**
+   * Counts the UTF-8 bytes of one character (code point).
+   */
+  function getUtf8Length(character) {
+    const codePoint = character.codePointAt(0);
+    if (codePoint < 0x80) {
+      return 1;
+    }
+    if (codePoint < 0x800) {
+      return 2;
+    }
+    return codePoint < 0x10000 ? 3 : 4;
+  }
+
+  /**
+   * Folds a content line to 75 octets as required by RFC 5545, breaking
+   * only between characters. Continuation lines start with a space.
+   */
+  function foldIcsLine(line) {
+    const parts = [];
+    let part = "";
+    let partLength = 0;
+
+    for (const character of line) {
+      const length = getUtf8Length(character);
+      if (partLength + length > ICS_LINE_OCTETS) {
+        parts.push(part);
+        part = " ";
+        partLength = 1;
+      }
+      part += character;
+      partLength += length;
+    }
+    parts.push(part);
+    return parts.join("\r\n");
+  }
+
+  /**
+   * Formats a Date as an iCalendar date-time: local ("floating") or UTC.
+   */
+  function formatIcsDate(date, utc = false) {
+    const pad = (value) => String(value).padStart(2, "0");
+    if (utc) {
+      return date
+        .toISOString()
+        .replace(/[-:]/g, "")
+        .replace(/\.\d{3}/, "");
+    }
+    return (
+      `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `T${pad(date.getHours())}${pad(date.getMinutes())}00`
+    );
+  }
+
+  /**
+   * Parses an iCalendar DATE or DATE-TIME value into a Date.
+   * TZID parameters are not resolved; such times are read as local time.
+   */
+  function parseIcsDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+      value.trim()
+    );
+    if (!match) {
+      return null;
+    }
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+      // Date-only due dates are due by the end of that day
+      return new Date(Number(year), Number(month) - 1, Number(day), 23, 59);
+    }
+    const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  }
+
+  /**
+   * Serializes tasks to an iCalendar document.
+   * componentType is "VEVENT" (calendar entries) or "VTODO" (to-do items).
+   */
+  function exportToIcs(tasks, componentType = "VEVENT") {
+    const stamp = formatIcsDate(new Date(), true);
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${ICS_PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+    ];
+
+    tasks.forEach((task) => {
+      const dueDate = new Date(task.dueDate);
+      // An event needs a start; to-dos may have no due date
+      if (componentType === "VEVENT" && isNaN(dueDate)) {
+        return;
+      }
+      lines.push(
+        `BEGIN:${componentType}`,
+        `UID:task-${task.id}@dynamic-task-manager`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${escapeIcsText(task.name)}`
+      );
+
+      if (!isNaN(dueDate)) {
+        if (componentType === "VTODO") {
+          lines.push(`DUE:${formatIcsDate(dueDate)}`);
+        } else {
+          const endDate = new Date(
+            dueDate.getTime() + ICS_EVENT_MINUTES * 60 * 1000
+          );
+          lines.push(
+            `DTSTART:${formatIcsDate(dueDate)}`,
+            `DTEND:${formatIcsDate(endDate)}`
+          );
+        }
+      }
+      if (icsPriorities[task.priority]) {
+        lines.push(`PRIORITY:${icsPriorities[task.priority]}`);
+      }
+      if (task.category) {
+        lines.push(`CATEGORIES:${escapeIcsText(task.category)}`);
+      }
+      if (task.description) {
+        lines.push(`DESCRIPTION:${escapeIcsText(task.description)}`);
+      }
+      if (componentType === "VTODO") {
+        lines.push(`STATUS:${task.completed ? "COMPLETED" : "NEEDS-ACTION"}`);
+        if (task.completed && task.completedAt) {
+          lines.push(
+            `COMPLETED:${formatIcsDate(new Date(task.completedAt), true)}`
+          );
+        }
+      }
+      lines.push(`END:${componentType}`);
+    });
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+  }
+
+  /**
+   * Maps an iCalendar PRIORITY (0-9) to a task priority.
+   */
+  function mapIcsPriority(value) {
+    const priority = Number(value);
+    if (priority >= 1 && priority <= 4) {
+      return "high";
+    }
+    if (priority === 5) {
+      return "medium";
+    }
+    return "low";
+  }
+
+  /**
+   * Parses the VTODO items of an iCalendar document into plain records.
+   */
+  function parseIcs(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+    const records = [];
+    let current = null;
+    // Nesting inside the current VTODO; 1 is the VTODO itself, deeper
+    // levels are sub-components such as VALARM whose properties are skipped
+    let depth = 0;
+
+    lines.forEach((line) => {
+      const separatorIndex = line.indexOf(":");
+      if (separatorIndex === -1) {
+        return;
+      }
+      const name = line.slice(0, separatorIndex).split(";")[0].toUpperCase();
+      const value = line.slice(separatorIndex + 1);
+
+      if (name === "BEGIN" && current) {
+        depth++;
+      } else if (name === "BEGIN" && value.toUpperCase() === "VTODO") {
+        current = { priority: "low" };
+        depth = 1;
+      } else if (name === "END" && current) {
+        depth--;
+        if (depth === 0) {
+          records.push(current);
+          current = null;
+        }
+      } else if (current && depth === 1) {
+        if (name === "SUMMARY") {
+          current.name = unescapeIcsText(value);
+        } else if (name === "DESCRIPTION") {
+          current.description = unescapeIcsText(value);
+        } else if (name === "CATEGORIES") {
+          // Tasks have a single category; keep the first one
+          current.category = unescapeIcsText(value.split(/(?<!\\),/)[0]);
+        } else if (name === "PRIORITY") {
+          current.priority = mapIcsPriority(value);
+        } else if (name === "DUE") {
+          const dueDate = parseIcsDate(value);
+          current.dueDate = dueDate
+            ? TasksModule.formatDateTimeLocal(dueDate)
+            : "";
+        } else if (name === "STATUS") {
+          current.completed = value.toUpperCase() === "COMPLETED";
+        } else if (name === "COMPLETED") {
+          current.completedAt = parseIcsDate(value);
+        }
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Parses file contents based on the file name's extension.
+   */
+  function parseFile(fileName, text) {
+    if (/\.csv$/i.test(fileName)) {
+      return parseCsv(text);
+    }
+    if (/\.ics$/i.test(fileName)) {
+      return parseIcs(text);
+    }
+    return parseJson(text);
+  }
+
+  /**
+   * Converts an imported due date into a datetime-local value, or null if invalid.
+   */
+  function normalizeDueDate(value) {
+    const text = String(value || "").trim();
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(text)) {
+      return text;
+    }
+    const date = new Date(text);
+    return text && !isNaN(date) ? TasksModule.formatDateTimeLocal(date) : null;
+  }
+
+  /**
+   * Converts an imported timestamp into an ISO string, or null if invalid.
+   */
+  function normalizeTimestamp(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+
+  /**
+   * Gets the stored task fields of a record beyond the exported columns
+   * (e.g. tags or a checklist from a JSON export), or null if it has none.
+   * Archive and trash state is not imported.
+   */
+  function getRecordDetails(record) {
+    const details = { ...record };
+    [...exportFields, "archivedAt", "deletedAt"].forEach((field) => {
+      delete details[field];
+    });
+    return Object.keys(details).length > 0 ? details : null;
+  }
+
+  /**
+   * Converts an imported record into task fields.
+   */
+  function normalizeRecord(record) {
+    const completed = record.completed;
+    const fileId = Number(record.id);
+    return {
+      name: String(record.name || "").trim(),
+      category: String(record.category || "")
+        .trim()
+        .toLowerCase(),
+      priority: String(record.priority || "")
+        .trim()
+        .toLowerCase(),
+      dueDate: normalizeDueDate(record.dueDate),
+      description: String(record.description || "").trim(),
+      completed: completed === true || completed === "true",
+      completedAt: normalizeTimestamp(record.completedAt),
+      // The task's ID in the file, to link prerequisites to imported tasks
+      fileId: Number.isSafeInteger(fileId) ? fileId : null,
+      details: getRecordDetails(record),
+    };
+  }
+
+  /**
+   * Returns why a record's stored task fields are not valid, checked with the
+   * same rules as tasks from the sync server, or null if they are.
+   */
+  function getDetailsError(fields) {
+    return TasksModule.getStoredTaskError(
+      StorageModule.normalizeTask({
+        ...fields.details,
+        id: 0,
+        name: fields.name,
+        category: fields.category,
+        priority: fields.priority,
+        dueDate: fields.dueDate,
+        description: fields.description,
+        completed: fields.completed,
+        completedAt: fields.completed
+          ? fields.completedAt || new Date().toISOString()
+          : null,
+      })
+    );
+  }
+
+  /**
+   * Returns why a record cannot be imported, or null if it is valid.
+   */
+  function getRecordError(fields) {
+    if (fields.name === "") {
+      return "Task name is required";
+    }
+    if (!TasksModule.validateTaskName(fields.name)) {
+      return "Task name can only contain letters, numbers, and spaces";
+    }
+    if (
+      fields.description &&
+      !TasksModule.validateDescription(fields.description)
+    ) {
+      return "Description contains unsupported characters";
+    }
+    if (
+      fields.category !== "" &&
+      !TasksModule.validateCategoryName(fields.category)
+    ) {
+      return "Category can only contain letters, numbers, and spaces";
+    }
+    if (!validPriorities.includes(fields.priority)) {
+      return "Priority must be low, medium, or high";
+    }
+    if (!fields.dueDate) {
+      return "Due date is missing or invalid";
+    }
+    return fields.details ? getDetailsError(fields) : null;
+  }
+
+  /**
+   * Checks whether a record's category is new to the app and must be created.
+   */
+  function isNewCategory(category) {
+    return (
+      category !== "" &&
+      !TasksModule.getAvailableCategories().includes(category)
+    );
+  }
+
+  /**
+   * Classifies each record as "add", "merge" (same name as an existing task)
+   * or "reject", with the reason shown in the import preview. Categories that
+   * do not exist yet are noted on the first row that creates them.
+   */
+  function buildImportPreview(records) {
+    const seenNames = new Set();
+    const newCategories = new Set();
+
+    return records.map((record, index) => {
+      const fields = normalizeRecord(record || {});
+      const row = { row: index + 1, fields: fields };
+      const error = getRecordError(fields);
+      const normalizedName = fields.name.toLowerCase();
+
+      if (error) {
+        return { ...row, action: "reject", reason: error };
+      }
+      if (seenNames.has(normalizedName)) {
+        return {
+          ...row,
+          action: "reject",
+          reason: "Task name appears earlier in this file",
+        };
+      }
+      seenNames.add(normalizedName);
+
+      let categoryNote = "";
+      if (
+        isNewCategory(fields.category) &&
+        !newCategories.has(fields.category)
+      ) {
+        newCategories.add(fields.category);
+        categoryNote = `; creates category "${fields.category}"`;
+      }
+
+      if (TasksModule.isTaskNameDuplicate(fields.name)) {
+        const existing = TasksModule.findTaskByName(fields.name);
+        return {
+          ...row,
+          action: "merge",
+          reason: `Updates existing task "${existing.name}"${categoryNote}`,
+        };
+      }
+      return { ...row, action: "add", reason: `New task${categoryNote}` };
+    });
+  }
+
+  /**
+   * Applies the non-rejected rows of an import preview through TasksModule.
+   * Returns counts of added, merged and skipped tasks.
+   */
+  function applyImport(preview) {
+    return TasksModule.recordChange("Import tasks", () =>
+      applyImportRows(preview)
+    );
+  }
+
+  /**
+   * Adds or merges each row of an import preview. Rows are checked again,
+   * as tasks and categories may have changed since the preview was built.
+   */
+  function applyImportRows(preview) {
+    const result = { added: 0, merged: 0, skipped: 0 };
+    const taskIds = new Map(); // ID in the file -> ID of the imported task
+    const restores = [];
+
+    preview.forEach(({ action, fields }) => {
+      if (action === "reject") {
+        return;
+      }
+      if (getRecordError(fields)) {
+        result.skipped++;
+        return;
+      }
+
+      if (isNewCategory(fields.category)) {
+        TasksModule.addCategory(fields.category);
+      }
+
+      const existing = TasksModule.findTaskByName(fields.name);
+      let taskId;
+      if (existing) {
+        TasksModule.updateTask(
+          existing.id,
+          existing.name,
+          fields.category,
+          fields.priority,
+          fields.dueDate,
+          fields.description
+        );
+        taskId = existing.id;
+        result.merged++;
+      } else {
+        taskId = TasksModule.addTask(
+          fields.name,
+          fields.category,
+          fields.priority,
+          fields.dueDate,
+          fields.description
+        ).id;
+        result.added++;
+      }
+
+      if (TasksModule.getTaskById(taskId).completed !== fields.completed) {
+        TasksModule.setTaskCompletion(
+          taskId,
+          fields.completed,
+          fields.completedAt
+        );
+      }
+      if (fields.fileId !== null) {
+        taskIds.set(fields.fileId, taskId);
+      }
+      if (fields.details) {
+        restores.push({
+          taskId: taskId,
+          // A merged task keeps its own creation time
+          details: existing
+            ? { ...fields.details, createdAt: undefined }
+            : fields.details,
+        });
+      }
+    });
+
+    // Prerequisites use the file's IDs, so they are restored once every
+    // row has its task
+    restores.forEach(({ taskId, details }) => {
+      TasksModule.restoreTaskDetails(taskId, {
+        ...details,
+        dependsOn:
+          details.dependsOn &&
+          details.dependsOn.map((id) =>
+            taskIds.has(id) ? taskIds.get(id) : id
+          ),
+      });
+    });
+
+    return result;
+  }
+
+  // Return public API
+  return {
+    exportToJson,
+    exportToCsv,
+    exportToIcs,
+    parseCsv,
+    parseJson,
+    parseIcs,
+    parseFile,
+    buildImportPreview,
+    applyImport,
+  };
+})();
+
+/* ============================================================
+   DOM MODULE
+   Handles all DOM manipulations and updates
+   ============================================================ */
+
+const DomModule = (() => {
+  // DOM Element References
+  const addTaskBtn = document.getElementById("addTaskBtn");
+  const taskForm = document.getElementById("taskForm");
+  const categoryFilter = document.getElementById("categoryFilter");
+  const completionFilter = document.getElementById("completionFilter");
+  const searchInput = document.getElementById("searchInput");
+  const priorityFilter = document.getElementById("priorityFilter");
+  const dueFromFilter = document.getElementById("dueFromFilter");
+  const dueToFilter = document.getElementById("dueToFilter");
+  const overdueOnlyFilter = document.getElementById("overdueOnlyFilter");
+  const readyOnlyFilter = document.getElementById("readyOnlyFilter");
+  const clearFiltersBtn = document.getElementById("clearFiltersBtn");
+  const taskCategory = document.getElementById("taskCategory");
+  const cancelBtn = document.getElementById("cancelBtn");
+  const taskListView = document.getElementById("taskListView");
+  const taskFormView = document.getElementById("taskFormView");
+  const taskImportView = document.getElementById("taskImportView");
+  const categoryManagerView = document.getElementById("categoryManagerView");
+  const timeReportView = document.getElementById("timeReportView");
+  const submitButton = taskForm.querySelector('button[type="submit"]');
+  const taskList = document.getElementById("taskList");
+  const taskBoard = document.getElementById("taskBoard");
+  const taskCalendar = document.getElementById("taskCalendar");
+  const calendarControls = document.getElementById("calendarControls");
+  const calendarTitle = document.getElementById("calendarTitle");
+  const calendarModeToggle = document.getElementById("calendarModeToggle");
+  const displayModeToggle = document.getElementById("displayModeToggle");
+  const boardGroupByControl = document.getElementById("boardGroupByControl");
+  const boardGroupBy = document.getElementById("boardGroupBy");
+  const sortPrimaryKey = document.getElementById("sortPrimaryKey");
+  const sortPrimaryDirection = document.getElementById("sortPrimaryDirection");
+  const sortSecondaryKey = document.getElementById("sortSecondaryKey");
+  const sortSecondaryDirection = document.getElementById(
+    "sortSecondaryDirection"
+  );
+  const taskNameInput = document.getElementById("taskName");
+  const taskDescriptionInput = document.getElementById("taskDescription");
+  const exportJsonBtn = document.getElementById("exportJsonBtn");
+  const exportCsvBtn = document.getElementById("exportCsvBtn");
+  const exportIcsEventsBtn = document.getElementById("exportIcsEventsBtn");
+  const exportIcsTodosBtn = document.getElementById("exportIcsTodosBtn");
+  const exportFilteredOnly = document.getElementById("exportFilteredOnly");
+  const importFileInput = document.getElementById("importFileInput");
+  const confirmImportBtn = document.getElementById("confirmImportBtn");
+  const cancelImportBtn = document.getElementById("cancelImportBtn");
+  const importPreviewBody = document.getElementById("importPreviewBody");
+  const importSummary = document.getElementById("importSummary");
+  const importError = document.getElementById("importError");
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const toastContainer = document.getElementById("toastContainer");
+  const reminderBanner = document.getElementById("reminderBanner");
+  const loadErrorAlert = document.getElementById("loadErrorAlert");
+  const enableNotificationsBtn = document.getElementById(
+    "enableNotificationsBtn"
+  );
+
+  // Time Tracking Elements
+  const taskEstimate = document.getElementById("taskEstimate");
+  const taskEstimateError = document.getElementById("taskEstimateError");
+  const timeReportBtn = document.getElementById("timeReportBtn");
+  const timeReportFrom = document.getElementById("timeReportFrom");
+  const timeReportTo = document.getElementById("timeReportTo");
+  const timeReportTotal = document.getElementById("timeReportTotal");
+  const timeReportByCategory = document.getElementById("timeReportByCategory");
+  const timeReportByDay = document.getElementById("timeReportByDay");
+  const closeTimeReportBtn = document.getElementById("closeTimeReportBtn");
+  const dashboardView = document.getElementById("dashboardView");
+  const syncView = document.getElementById("syncView");
+  const syncBtn = document.getElementById("syncBtn");
+  const syncBadge = document.getElementById("syncBadge");
+  const syncEndpointInput = document.getElementById("syncEndpoint");
+  const syncEndpointError = document.getElementById("syncEndpointError");
+  const saveSyncEndpointBtn = document.getElementById("saveSyncEndpointBtn");
+  const syncNowBtn = document.getElementById("syncNowBtn");
+  const syncStatus = document.getElementById("syncStatus");
+  const syncConflicts = document.getElementById("syncConflicts");
+  const closeSyncBtn = document.getElementById("closeSyncBtn");
+  const quickAddForm = document.getElementById("quickAddForm");
+  const taskChangedWarning = document.getElementById("taskChangedWarning");
+  const taskChangedMessage = document.getElementById("taskChangedMessage");
+  const reloadEditedTaskBtn = document.getElementById("reloadEditedTaskBtn");
+  const commandPalette = document.getElementById("commandPalette");
+  const commandPaletteInput = document.getElementById("commandPaletteInput");
+  const commandPaletteList = document.getElementById("commandPaletteList");
+  const shortcutHelp = document.getElementById("shortcutHelp");
+  const shortcutHelpBtn = document.getElementById("shortcutHelpBtn");
+  const closeShortcutHelpBtn = document.getElementById("closeShortcutHelpBtn");
+  const quickAddInput = document.getElementById("quickAddInput");
+  const quickAddPreview = document.getElementById("quickAddPreview");
+  const quickAddError = document.getElementById("quickAddError");
+  const dashboardBtn = document.getElementById("dashboardBtn");
+  const dashboardSummary = document.getElementById("dashboardSummary");
+  const dashboardCategoryChart = document.getElementById(
+    "dashboardCategoryChart"
+  );
+  const dashboardPriorityChart = document.getElementById(
+    "dashboardPriorityChart"
+  );
+  const dashboardOpenChart = document.getElementById("dashboardOpenChart");
+  const dashboardWeeklyChart = document.getElementById("dashboardWeeklyChart");
+  const closeDashboardBtn = document.getElementById("closeDashboardBtn");
+
+  // Archive and Trash Elements
+  const archiveBtn = document.getElementById("archiveBtn");
+  const archiveView = document.getElementById("archiveView");
+  const archiveSearch = document.getElementById("archiveSearch");
+  const archiveAfterDays = document.getElementById("archiveAfterDays");
+  const archiveAfterDaysError = document.getElementById(
+    "archiveAfterDaysError"
+  );
+  const archiveEmpty = document.getElementById("archiveEmpty");
+  const archiveList = document.getElementById("archiveList");
+  const closeArchiveBtn = document.getElementById("closeArchiveBtn");
+  const trashBtn = document.getElementById("trashBtn");
+  const trashView = document.getElementById("trashView");
+  const trashRetentionDays = document.getElementById("trashRetentionDays");
+  const trashRetentionDaysError = document.getElementById(
+    "trashRetentionDaysError"
+  );
+  const emptyTrashBtn = document.getElementById("emptyTrashBtn");
+  const trashEmpty = document.getElementById("trashEmpty");
+  const trashList = document.getElementById("trashList");
+  const closeTrashBtn = document.getElementById("closeTrashBtn");
+
+  // Dependency Elements
+  const taskDueDateInput = document.getElementById("taskDueDate");
+  const taskDependsOn = document.getElementById("taskDependsOn");
+  const taskDependsOnError = document.getElementById("taskDependsOnError");
+  const taskDependsOnWarning = document.getElementById("taskDependsOnWarning");
+
+  // Batch Action Elements
+  const bulkActions = document.getElementById("bulkActions");
+  const selectAllTasks = document.getElementById("selectAllTasks");
+  const bulkSelectionCount = document.getElementById("bulkSelectionCount");
+  const bulkCategory = document.getElementById("bulkCategory");
+  const bulkPriority = document.getElementById("bulkPriority");
+  const bulkShiftDays = document.getElementById("bulkShiftDays");
+  const bulkList = document.getElementById("bulkList");
+
+  // Tag Elements
+  const taskTagList = document.getElementById("taskTagList");
+  const taskTagInput = document.getElementById("taskTagInput");
+  const taskTagAddBtn = document.getElementById("taskTagAddBtn");
+  const taskTagError = document.getElementById("taskTagError");
+  const tagSuggestions = document.getElementById("tagSuggestions");
+  const tagFilterRow = document.getElementById("tagFilterRow");
+  const tagFilter = document.getElementById("tagFilter");
+  const tagMatchMode = document.getElementById("tagMatchMode");
+
+  // Category Elements
+  const newCategoryInput = document.getElementById("newCategoryInput");
+  const newCategoryBtn = document.getElementById("newCategoryBtn");
+  const newCategoryError = document.getElementById("newCategoryError");
+  const manageCategoriesBtn = document.getElementById("manageCategoriesBtn");
+  const categoryError = document.getElementById("categoryError");
+  const categoryAddIcon = document.getElementById("categoryAddIcon");
+  const categoryAddName = document.getElementById("categoryAddName");
+  const categoryAddColor = document.getElementById("categoryAddColor");
+  const categoryAddBtn = document.getElementById("categoryAddBtn");
+  const categoryTableBody = document.getElementById("categoryTableBody");
+  const categoryDeletePanel = document.getElementById("categoryDeletePanel");
+  const categoryDeleteMessage = document.getElementById(
+    "categoryDeleteMessage"
+  );
+  const categoryDeleteTarget = document.getElementById("categoryDeleteTarget");
+  const confirmCategoryDeleteBtn = document.getElementById(
+    "confirmCategoryDeleteBtn"
+  );
+  const cancelCategoryDeleteBtn = document.getElementById(
+    "cancelCategoryDeleteBtn"
+  );
+  const closeCategoryManagerBtn = document.getElementById(
+    "closeCategoryManagerBtn"
+  );
+
+  // List Elements
+  const listSwitcher = document.getElementById("listSwitcher");
+  const manageListsBtn = document.getElementById("manageListsBtn");
+  const taskListSelect = document.getElementById("taskListSelect");
+  const listManagerView = document.getElementById("listManagerView");
+  const listError = document.getElementById("listError");
+  const listAddName = document.getElementById("listAddName");
+  const listAddBtn = document.getElementById("listAddBtn");
+  const listTableBody = document.getElementById("listTableBody");
+  const listDeletePanel = document.getElementById("listDeletePanel");
+  const listDeleteMessage = document.getElementById("listDeleteMessage");
+  const listDeleteTarget = document.getElementById("listDeleteTarget");
+  const confirmListDeleteBtn = document.getElementById("confirmListDeleteBtn");
+  const cancelListDeleteBtn = document.getElementById("cancelListDeleteBtn");
+  const closeListManagerBtn = document.getElementById("closeListManagerBtn");
+
+  // How long a toast stays on screen
+  const TOAST_DURATION_MS = 6000;
+
+  // Top-level views; only one is visible at a time
+  const views = [
+    taskListView,
+    taskFormView,
+    taskImportView,
+    categoryManagerView,
+    listManagerView,
+    timeReportView,
+    dashboardView,
+    archiveView,
+    trashView,
+    syncView,
+  ];
+
+  // Error Message Elements
+  const taskNameEmptyError = document.getElementById("taskNameEmptyError");
+  const taskNamePatternError = document.getElementById("taskNamePatternError");
+  const taskNameDuplicateError = document.getElementById(
+    "taskNameDuplicateError"
+  );
+  const taskDescriptionError = document.getElementById("taskDescriptionError");
+  const taskRepeatError = document.getElementById("taskRepeatError");
+
+  // Repeat Rule Elements
+  const taskRepeat = document.getElementById("taskRepeat");
+  const taskRepeatCustom = document.getElementById("taskRepeatCustom");
+  const taskRepeatInterval = document.getElementById("taskRepeatInterval");
+  const taskRepeatUnit = document.getElementById("taskRepeatUnit");
+  const taskRepeatEnds = document.getElementById("taskRepeatEnds");
+  const taskRepeatEndDate = document.getElementById("taskRepeatEndDate");
+  const taskRepeatCount = document.getElementById("taskRepeatCount");
+
+  // Checklist Editor Elements
+  const checklistItems = document.getElementById("checklistItems");
+  const checklistNewItem = document.getElementById("checklistNewItem");
+  const checklistAddBtn = document.getElementById("checklistAddBtn");
+  const checklistError = document.getElementById("checklistError");
+  const checklistAutoComplete = document.getElementById(
+    "checklistAutoComplete"
+  );
+
+  /**
+   * Capitalizes the first letter of a string.
+   */
+  function capitalizeFirst(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+
+  /**
+   * Shows a single top-level view and hides the others.
+   */
+  function showView(viewToShow) {
+    views.forEach((view) => {
+      view.style.display = view === viewToShow ? "block" : "none";
+    });
+  }
+
+  /**
+   * Shows the task form view and hides the task list view.
+   */
+  function showTaskFormView() {
+    showView(taskFormView);
+  }
+
+  /**
+   * Shows the task list view and hides the task form view.
+   */
+  function showTaskListView() {
+    showView(taskListView);
+  }
+
+  /**
+   * Shows the import preview view.
+   */
+  function showTaskImportView() {
+    showView(taskImportView);
+  }
+
+  /**
+   * Shows the category manager.
+   */
+  function showCategoryManagerView() {
+    hideCategoryDeletePanel();
+    hideCategoryError();
+    renderCategoryManager();
+    showView(categoryManagerView);
+  }
+
+  /**
+   * Shows the list manager.
+   */
+  function showListManagerView() {
+    hideListDeletePanel();
+    hideListError();
+    renderListManager();
+    showView(listManagerView);
+  }
+
+  /**
+   * Shows the time report, defaulting to the last 7 days.
+   */
+  function showTimeReportView() {
+    if (!timeReportFrom.value || !timeReportTo.value) {
+      const today = new Date();
+      const weekAgo = new Date(today);
+      weekAgo.setDate(today.getDate() - 6);
+      timeReportFrom.value = TasksModule.formatDateTimeLocal(weekAgo).slice(
+        0,
+        10
+      );
+      timeReportTo.value = TasksModule.formatDateTimeLocal(today).slice(0, 10);
+    }
+    renderTimeReport();
+    showView(timeReportView);
+  }
+
+  /**
+   * Formats minutes as e.g. "45m" or "2h 05m".
+   */
+  function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = String(minutes % 60).padStart(hours > 0 ? 2 : 1, "0");
+    return hours > 0 ? `${hours}h ${rest}m` : `${rest}m`;
+  }
+
+  /**
+   * Describes a task's tracked time, with its estimate when it has one.
+   */
+  function getTrackedTimeText(task) {
+    const tracked = formatDuration(TasksModule.getTrackedMinutes(task));
+    return task.estimateMinutes
+      ? `⏱ ${tracked} / ${formatDuration(task.estimateMinutes)} est.`
+      : `⏱ ${tracked}`;
+  }
+
+  /**
+   * Renders the per-category and per-day totals for the chosen days.
+   */
+  function renderTimeReport() {
+    const report = TasksModule.getTimeReport(
+      timeReportFrom.value,
+      timeReportTo.value
+    );
+    timeReportTotal.textContent = `Total: ${formatDuration(
+      report.totalMinutes
+    )}`;
+
+    const fillTable = (tableBody, rows, getLabel) => {
+      tableBody.innerHTML = "";
+      if (rows.length === 0) {
+        tableBody.innerHTML =
+          '<tr><td colspan="2" class="text-muted">No time tracked</td></tr>';
+      }
+      rows.forEach((row) => {
+        const tableRow = document.createElement("tr");
+        tableRow.innerHTML = `<td></td><td class="text-end">${formatDuration(
+          row.minutes
+        )}</td>`;
+        tableRow.firstElementChild.textContent = getLabel(row);
+        tableBody.appendChild(tableRow);
+      });
+    };
+    fillTable(timeReportByCategory, report.byCategory, (row) =>
+      getCategoryLabel(row.category)
+    );
+    fillTable(timeReportByDay, report.byDay, (row) =>
+      new Date(`${row.date}T00:00`).toLocaleDateString(undefined, {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      })
+    );
+  }
+
+  // Fields compared side by side for a sync conflict
+  const conflictFields = [
+    ["Name", (task) => task.name],
+    ["Category", (task) => getCategoryLabel(task.category)],
+    ["Priority", (task) => capitalizeFirst(task.priority)],
+    ["Due", (task) => new Date(task.dueDate).toLocaleString()],
+    ["Completed", (task) => (task.completed ? "Yes" : "No")],
+    ["Description", (task) => task.description || "—"],
+  ];
+
+  /**
+   * Shows the sync settings and any conflicts.
+   */
+  function showSyncView() {
+    syncEndpointInput.value = SyncModule.getEndpoint();
+    hideSyncEndpointError();
+    renderSyncView();
+    showView(syncView);
+  }
+
+  /**
+   * Describes the sync status, with pending changes and conflicts.
+   */
+  function getSyncStatusText(status) {
+    const descriptions = {
+      off: "Sync is off; tasks are only stored in this browser.",
+      syncing: "Syncing…",
+      idle: status.lastSyncedAt
+        ? `Synced at ${new Date(status.lastSyncedAt).toLocaleTimeString()}.`
+        : "Not synced yet.",
+      offline: "Server unreachable; changes will be sent when it is back.",
+      error: `Sync failed: ${status.message}`,
+    };
+    const parts = [descriptions[status.state]];
+    if (status.state !== "off" && status.pending > 0) {
+      parts.push(
+        `${status.pending} ${
+          status.pending === 1 ? "change" : "changes"
+        } waiting.`
+      );
+    }
+    if (status.conflicts > 0) {
+      parts.push(
+        `${status.conflicts} ${
+          status.conflicts === 1 ? "conflict" : "conflicts"
+        } to resolve.`
+      );
+    }
+    return parts.join(" ");
+  }
+
+  /**
+   * Updates the Sync button's conflict badge and tooltip.
+   */
+  function updateSyncIndicator() {
+    const status = SyncModule.getStatus();
+    syncBtn.title = getSyncStatusText(status);
+    syncBadge.textContent = status.conflicts;
+    syncBadge.style.display = status.conflicts > 0 ? "inline-block" : "none";
+  }
+
+  /**
+   * Renders the sync status and one card per conflict, comparing the local
+   * and server versions field by field.
+   */
+  function renderSyncView() {
+    syncStatus.textContent = getSyncStatusText(SyncModule.getStatus());
+    syncConflicts.innerHTML = "";
+
+    const conflicts = TasksModule.getSyncConflicts();
+    if (conflicts.length === 0) {
+      syncConflicts.innerHTML = '<p class="text-muted">No conflicts</p>';
+      return;
+    }
+
+    conflicts.forEach(({ taskId, local, remote }) => {
+      const card = document.createElement("div");
+      card.className = "card mb-3";
+      card.setAttribute("data-task-id", taskId);
+      card.innerHTML = `
+        <div class="card-body">
+          <h3 class="h6 card-title"></h3>
+          <table class="table table-sm">
+            <thead>
+              <tr><th></th><th>Your version</th><th class="remote-heading"></th></tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+          <button class="btn btn-sm btn-primary" data-action="keep-local">Keep mine</button>
+          <button class="btn btn-sm btn-outline-primary" data-action="keep-remote">Keep server's</button>
+        </div>`;
+      card.querySelector(".card-title").textContent = (local || remote).name;
+      card.querySelector(".remote-heading").textContent = remote
+        ? `Server version (changed ${new Date(
+            remote.updatedAt
+          ).toLocaleString()})`
+        : "Server version";
+
+      const tableBody = card.querySelector("tbody");
+      conflictFields.forEach(([label, getValue]) => {
+        const localValue = local ? getValue(local) : "Deleted";
+        const remoteValue = remote ? getValue(remote) : "Deleted";
+        const row = document.createElement("tr");
+        row.className = localValue !== remoteValue ? "table-warning" : "";
+        row.innerHTML = "<th></th><td></td><td></td>";
+        row.children[0].textContent = label;
+        row.children[1].textContent = localValue;
+        row.children[2].textContent = remoteValue;
+        tableBody.appendChild(row);
+      });
+      syncConflicts.appendChild(card);
+    });
+  }
+
+  /**
+   * Shows the invalid sync server URL error.
+   */
+  function showSyncEndpointError() {
+    syncEndpointInput.classList.add("is-invalid");
+    syncEndpointError.style.display = "block";
+  }
+
+  /**
+   * Hides the invalid sync server URL error.
+   */
+  function hideSyncEndpointError() {
+    syncEndpointInput.classList.remove("is-invalid");
+    syncEndpointError.style.display = "none";
+  }
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const priorityColors = { high: "#dc3545", medium: "#ffc107", low: "#198754" };
+
+  /**
+   * Creates an SVG element with the given attributes.
+   */
+  function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.keys(attributes).forEach((name) =>
+      element.setAttribute(name, attributes[name])
+    );
+    return element;
+  }
+
+  /**
+   * Adds an SVG text node; labels go through textContent, never markup.
+   */
+  function appendSvgText(svg, text, attributes) {
+    const label = createSvgElement("text", { "font-size": 12, ...attributes });
+    label.textContent = text;
+    svg.appendChild(label);
+  }
+
+  /**
+   * Draws horizontal bars for rows of { label, value, color }.
+   */
+  function createBarChart(rows) {
+    const rowHeight = 28;
+    const labelWidth = 120;
+    const barWidth = 230;
+    const max = Math.max(1, ...rows.map((row) => row.value));
+    const svg = createSvgElement("svg", {
+      viewBox: `0 0 400 ${Math.max(1, rows.length) * rowHeight}`,
+      width: "100%",
+      role: "img",
+    });
+
+    rows.forEach((row, index) => {
+      const y = index * rowHeight;
+      const width = (row.value / max) * barWidth;
+      appendSvgText(svg, row.label, { x: 0, y: y + 19 });
+      svg.appendChild(
+        createSvgElement("rect", {
+          x: labelWidth,
+          y: y + 6,
+          width,
+          height: 16,
+          fill: row.color,
+        })
+      );
+      appendSvgText(svg, String(row.value), {
+        x: labelWidth + width + 6,
+        y: y + 19,
+      });
+    });
+    return svg;
+  }
+
+  /**
+   * Draws one stacked bar for segments of { label, value, color }, with a legend.
+   */
+  function createStackedBar(segments) {
+    const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+    const svg = createSvgElement("svg", {
+      viewBox: "0 0 400 60",
+      width: "100%",
+      role: "img",
+    });
+    let x = 0;
+    segments.forEach((segment, index) => {
+      const width = total > 0 ? (segment.value / total) * 400 : 0;
+      svg.appendChild(
+        createSvgElement("rect", {
+          x,
+          y: 0,
+          width,
+          height: 24,
+          fill: segment.color,
+        })
+      );
+      x += width;
+      svg.appendChild(
+        createSvgElement("rect", {
+          x: index * 135,
+          y: 40,
+          width: 12,
+          height: 12,
+          fill: segment.color,
+        })
+      );
+      appendSvgText(svg, `${segment.label}: ${segment.value}`, {
+        x: index * 135 + 16,
+        y: 51,
+      });
+    });
+    return svg;
+  }
+
+  /**
+   * Draws percentage columns for rows of { label, value } (value may be null).
+   */
+  function createColumnChart(columns) {
+    const chartHeight = 120;
+    const columnWidth = 400 / Math.max(1, columns.length);
+    const svg = createSvgElement("svg", {
+      viewBox: `0 0 400 ${chartHeight + 40}`,
+      width: "100%",
+      role: "img",
+    });
+
+    columns.forEach((column, index) => {
+      const x = index * columnWidth;
+      const center = x + columnWidth / 2;
+      const height = ((column.value || 0) / 100) * chartHeight;
+      svg.appendChild(
+        createSvgElement("rect", {
+          x: x + columnWidth * 0.2,
+          y: 16 + chartHeight - height,
+          width: columnWidth * 0.6,
+          height,
+          fill: "#0d6efd",
+        })
+      );
+      appendSvgText(svg, column.value === null ? "–" : `${column.value}%`, {
+        x: center,
+        y: 12 + chartHeight - height,
+        "text-anchor": "middle",
+      });
+      appendSvgText(svg, column.label, {
+        x: center,
+        y: chartHeight + 34,
+        "text-anchor": "middle",
+        "font-size": 10,
+      });
+    });
+    return svg;
+  }
+
+  /**
+   * Shows the statistics dashboard.
+   */
+  function showDashboardView() {
+    renderDashboard();
+    showView(dashboardView);
+  }
+
+  /**
+   * Renders the summary figures and charts from the current task list.
+   */
+  function renderDashboard() {
+    const stats = TasksModule.getStatistics();
+    const completionRate =
+      stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0;
+    const summary = [
+      ["Tasks", stats.total],
+      ["Completed", `${stats.completed} (${completionRate}%)`],
+      ["Overdue", stats.open.overdue],
+      [
+        "Finished late",
+        `${stats.lateCount} of ${stats.lateCount + stats.onTimeCount}`,
+      ],
+      ["Average lateness", formatDuration(stats.averageLatenessMinutes)],
+    ];
+    dashboardSummary.innerHTML = "";
+    summary.forEach(([label, value]) => {
+      const item = document.createElement("div");
+      item.className = "col";
+      item.innerHTML =
+        '<div class="border rounded p-2 text-center h-100">' +
+        '<div class="fs-4 fw-bold"></div><div class="small text-muted"></div></div>';
+      item.querySelector(".fs-4").textContent = value;
+      item.querySelector(".small").textContent = label;
+      dashboardSummary.appendChild(item);
+    });
+
+    const fillChart = (container, chart) => {
+      container.innerHTML = "";
+      container.appendChild(chart);
+    };
+    fillChart(
+      dashboardCategoryChart,
+      createBarChart(
+        stats.byCategory.map((row) => ({
+          label: getCategoryLabel(row.category),
+          value: row.count,
+          color: TasksModule.getCategory(row.category).color,
+        }))
+      )
+    );
+    fillChart(
+      dashboardPriorityChart,
+      createBarChart(
+        stats.byPriority.map((row) => ({
+          label: capitalizeFirst(row.priority),
+          value: row.count,
+          color: priorityColors[row.priority] || "#6c757d",
+        }))
+      )
+    );
+    fillChart(
+      dashboardOpenChart,
+      createStackedBar([
+        { label: "Overdue", value: stats.open.overdue, color: "#dc3545" },
+        { label: "Next 7 days", value: stats.open.dueSoon, color: "#ffc107" },
+        { label: "Later", value: stats.open.later, color: "#198754" },
+        { label: "No due date", value: stats.open.noDueDate, color: "#6c757d" },
+      ])
+    );
+    fillChart(
+      dashboardWeeklyChart,
+      createColumnChart(
+        stats.weeks.map((week) => ({
+          label: new Date(`${week.weekStart}T00:00`).toLocaleDateString(
+            undefined,
+            { month: "short", day: "numeric" }
+          ),
+          value: week.rate,
+        }))
+      )
+    );
+  }
+
+  /**
+   * Shows the archive with its current retention setting.
+   */
+  function showArchiveView() {
+    archiveAfterDays.value =
+      TasksModule.getRetentionSettings().archiveAfterDays;
+    setArchiveAfterDaysInvalid(false);
+    renderArchiveView();
+    showView(archiveView);
+  }
+
+  /**
+   * Shows the trash with its current retention setting.
+   */
+  function showTrashView() {
+    trashRetentionDays.value =
+      TasksModule.getRetentionSettings().trashRetentionDays;
+    setTrashRetentionDaysInvalid(false);
+    renderTrashView();
+    showView(trashView);
+  }
+
+  /**
+   * Gets the name of the list a task is in.
+   */
+  function getTaskListName(task) {
+    return TasksModule.getList(TasksModule.getTaskListId(task)).name;
+  }
+
+  /**
+   * Builds an archive or trash row: the task's name and category, a line
+   * of details, and buttons given as [{ action, label, className }].
+   */
+  function createShelvedTaskElement(task, details, actions) {
+    const item = document.createElement("li");
+    item.className =
+      "list-group-item d-flex flex-wrap gap-2 align-items-center";
+    item.setAttribute("data-task-id", task.id);
+
+    const text = document.createElement("div");
+    text.className = "me-auto";
+    const name = document.createElement("strong");
+    name.textContent = task.name;
+    const detailLine = document.createElement("div");
+    detailLine.className = "small text-muted";
+    detailLine.textContent = details;
+    text.append(name, " ", createCategoryBadge(task.category), detailLine);
+    item.appendChild(text);
+
+    actions.forEach(({ action, label, className }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = `btn btn-sm ${className}`;
+      button.setAttribute("data-action", action);
+      button.textContent = label;
+      item.appendChild(button);
+    });
+    return item;
+  }
+
+  /**
+   * Renders the archived tasks matching the archive search. They are kept
+   * apart from the task list, so the countdown refresh never touches them.
+   */
+  function renderArchiveView() {
+    const archivedTasks = TasksModule.getArchivedTasks(archiveSearch.value);
+    archiveList.innerHTML = "";
+    archiveEmpty.textContent = archiveSearch.value.trim()
+      ? "No archived tasks match the search"
+      : "No archived tasks";
+    archiveEmpty.style.display = archivedTasks.length > 0 ? "none" : "block";
+
+    archivedTasks.forEach((task) => {
+      archiveList.appendChild(
+        createShelvedTaskElement(
+          task,
+          `${getCompletedStatusText(task)} · ${getTaskListName(task)}`,
+          [
+            {
+              action: "reopen",
+              label: "Reopen",
+              className: "btn-outline-primary",
+            },
+            { action: "trash", label: "Delete", className: "btn-danger" },
+          ]
+        )
+      );
+    });
+  }
+
+  /**
+   * Renders the tasks in the trash with the day each one is deleted for good.
+   */
+  function renderTrashView() {
+    const trashedTasks = TasksModule.getTrashedTasks();
+    trashList.innerHTML = "";
+    trashEmpty.style.display = trashedTasks.length > 0 ? "none" : "block";
+    emptyTrashBtn.disabled = trashedTasks.length === 0;
+
+    trashedTasks.forEach((task) => {
+      const details = [
+        `Deleted ${new Date(task.deletedAt).toLocaleString()}`,
+        task.archivedAt ? "from the archive" : getTaskListName(task),
+        `gone for good on ${TasksModule.getPurgeDate(
+          task
+        ).toLocaleDateString()}`,
+      ];
+      trashList.appendChild(
+        createShelvedTaskElement(task, details.join(" · "), [
+          {
+            action: "restore",
+            label: "Restore",
+            className: "btn-outline-primary",
+          },
+          {
+            action: "purge",
+            label: "Delete forever",
+            className: "btn-danger",
+          },
+        ])
+      );
+    });
+  }
+
+  /**
+   * Reads the retention setting inputs as numbers (NaN when not a number).
+   */
+  function getRetentionValues() {
+    return {
+      archiveAfterDays: Number(archiveAfterDays.value),
+      trashRetentionDays: Number(trashRetentionDays.value),
+    };
+  }
+
+  /**
+   * Marks a retention setting input and its error as invalid or valid.
+   */
+  function setRetentionInvalid(input, errorElement, invalid) {
+    input.classList.toggle("is-invalid", invalid);
+    errorElement.style.display = invalid ? "block" : "none";
+  }
+
+  /**
+   * Marks the archive setting as invalid or valid.
+   */
+  function setArchiveAfterDaysInvalid(invalid) {
+    setRetentionInvalid(archiveAfterDays, archiveAfterDaysError, invalid);
+  }
+
+  /**
+   * Marks the trash setting as invalid or valid.
+   */
+  function setTrashRetentionDaysInvalid(invalid) {
+    setRetentionInvalid(trashRetentionDays, trashRetentionDaysError, invalid);
+  }
+
+  /**
+   * Formats a category for display, with its icon when it has one.
+   */
+  function getCategoryLabel(categoryName) {
+    const category = TasksModule.getCategory(categoryName);
+    const name = capitalizeFirst(category.name);
+    return category.icon ? `${category.icon} ${name}` : name;
+  }
+
+  /**
+   * Builds the colored category badge shown in task rows.
+   */
+  function createCategoryBadge(categoryName) {
+    const badge = document.createElement("span");
+    badge.className = "badge category-badge";
+    badge.style.backgroundColor = TasksModule.getCategory(categoryName).color;
+    badge.textContent = getCategoryLabel(categoryName);
+    return badge;
+  }
+
+  /**
+   * Fills an icon dropdown with the available category icons.
+   */
+  function fillIconSelect(select, selectedIcon) {
+    select.innerHTML = "";
+    TasksModule.getCategoryIcons().forEach((icon) => {
+      const option = document.createElement("option");
+      option.value = icon;
+      option.textContent = icon || "None";
+      select.appendChild(option);
+    });
+    select.value = selectedIcon;
+  }
+
+  /**
+   * Renders one editable row per category in the category manager.
+   */
+  function renderCategoryManager() {
+    fillIconSelect(categoryAddIcon, categoryAddIcon.value || "");
+    categoryTableBody.innerHTML = "";
+
+    TasksModule.getCategories().forEach((category) => {
+      const row = document.createElement("tr");
+      row.setAttribute("data-category-name", category.name);
+      row.innerHTML = `
+      <td><select class="form-select form-select-sm category-icon-select" aria-label="Icon"></select></td>
+      <td><input type="text" class="form-control form-control-sm category-name-input" aria-label="Name"></td>
+      <td><input type="color" class="form-control form-control-sm form-control-color category-color-input" aria-label="Color"></td>
+      <td>${TasksModule.countTasksInCategory(category.name)}</td>
+      <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-primary" data-action="save">Save</button>
+          <button type="button" class="btn btn-sm btn-danger" data-action="delete">Delete</button>
+      </td>`;
+      fillIconSelect(row.querySelector(".category-icon-select"), category.icon);
+      row.querySelector(".category-name-input").value = capitalizeFirst(
+        category.name
+      );
+      row.querySelector(".category-color-input").value = category.color;
+      categoryTableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Reads the edited values of a category manager row.
+   */
+  function getCategoryRowValues(row) {
+    return {
+      name: row.querySelector(".category-name-input").value.trim(),
+      color: row.querySelector(".category-color-input").value,
+      icon: row.querySelector(".category-icon-select").value,
+    };
+  }
+
+  /**
+   * Reads the new-category fields of the category manager.
+   */
+  function getCategoryAddValues() {
+    return {
+      name: categoryAddName.value.trim(),
+      color: categoryAddColor.value,
+      icon: categoryAddIcon.value,
+    };
+  }
+
+  /**
+   * Clears the new-category fields of the category manager.
+   */
+  function resetCategoryAddFields() {
+    categoryAddName.value = "";
+    categoryAddIcon.value = "";
+  }
+
+  /**
+   * Shows an error message in the category manager.
+   */
+  function showCategoryError(message) {
+    categoryError.textContent = message;
+    categoryError.style.display = "block";
+  }
+
+  /**
+   * Hides the category manager error message.
+   */
+  function hideCategoryError() {
+    categoryError.style.display = "none";
+  }
+
+  /**
+   * Asks what to do with a category's tasks before deleting it:
+   * move them to another category or delete them too.
+   */
+  function showCategoryDeletePanel(categoryName, taskCount) {
+    categoryDeletePanel.setAttribute("data-category-name", categoryName);
+    categoryDeleteMessage.textContent = `"${capitalizeFirst(
+      categoryName
+    )}" has ${taskCount} task(s). Move them to:`;
+    categoryDeleteTarget.innerHTML = "";
+
+    TasksModule.getAvailableCategories()
+      .filter((name) => name !== categoryName)
+      .forEach((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = getCategoryLabel(name);
+        categoryDeleteTarget.appendChild(option);
+      });
+    const removeOption = document.createElement("option");
+    removeOption.value = "";
+    removeOption.textContent = "Move the tasks to the trash";
+    categoryDeleteTarget.appendChild(removeOption);
+
+    categoryDeletePanel.style.display = "block";
+  }
+
+  /**
+   * Hides the delete-category question.
+   */
+  function hideCategoryDeletePanel() {
+    categoryDeletePanel.style.display = "none";
+    categoryDeletePanel.removeAttribute("data-category-name");
+  }
+
+  /**
+   * Gets the category being deleted and where its tasks should go
+   * (null to delete them).
+   */
+  function getCategoryDeleteChoice() {
+    return {
+      name: categoryDeletePanel.getAttribute("data-category-name"),
+      reassignTo: categoryDeleteTarget.value || null,
+    };
+  }
+
+  /**
+   * Shows an error under the form's new-category field.
+   */
+  function showNewCategoryError(message) {
+    newCategoryInput.classList.add("is-invalid");
+    newCategoryError.textContent = message;
+    newCategoryError.style.display = "block";
+  }
+
+  /**
+   * Hides the form's new-category error.
+   */
+  function hideNewCategoryError() {
+    newCategoryInput.classList.remove("is-invalid");
+    newCategoryError.style.display = "none";
+  }
+
+  /**
+   * Formats a list name for dropdowns, marking archived lists.
+   */
+  function getListLabel(list) {
+    return list.archived ? `${list.name} (archived)` : list.name;
+  }
+
+  /**
+   * Fills a dropdown with one option per list.
+   */
+  function fillListSelect(select, lists, selectedListId) {
+    select.innerHTML = "";
+    lists.forEach((list) => {
+      const option = document.createElement("option");
+      option.value = list.id;
+      option.textContent = getListLabel(list);
+      select.appendChild(option);
+    });
+    select.value = selectedListId;
+  }
+
+  /**
+   * Populates the list switcher and the task form's list dropdown. The
+   * form keeps `selectedListId`, listed even when archived.
+   */
+  function updateListSelects(
+    selectedListId = Number(taskListSelect.value) ||
+      TasksModule.getActiveListId()
+  ) {
+    const openLists = TasksModule.getLists(false);
+    fillListSelect(listSwitcher, openLists, TasksModule.getActiveListId());
+
+    const selectedList = TasksModule.getList(selectedListId);
+    fillListSelect(
+      taskListSelect,
+      selectedList && selectedList.archived
+        ? [...openLists, selectedList]
+        : openLists,
+      selectedList ? selectedList.id : TasksModule.getActiveListId()
+    );
+  }
+
+  /**
+   * Renders one editable row per list in the list manager.
+   */
+  function renderListManager() {
+    listTableBody.innerHTML = "";
+
+    TasksModule.getLists().forEach((list) => {
+      const row = document.createElement("tr");
+      row.setAttribute("data-list-id", list.id);
+      row.innerHTML = `
+      <td><input type="text" class="form-control form-control-sm list-name-input" aria-label="Name"></td>
+      <td>${TasksModule.getTaskIdsInList(list.id).length}</td>
+      <td></td>
+      <td class="text-end text-nowrap">
+          <button type="button" class="btn btn-sm btn-primary" data-action="save">Save</button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="archive"></button>
+          <button type="button" class="btn btn-sm btn-danger" data-action="delete">Delete</button>
+      </td>`;
+      row.querySelector(".list-name-input").value = list.name;
+      row.children[2].textContent = list.archived
+        ? "Archived"
+        : list.id === TasksModule.getActiveListId()
+        ? "Shown"
+        : "";
+      row.querySelector('[data-action="archive"]').textContent = list.archived
+        ? "Unarchive"
+        : "Archive";
+      listTableBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Reads the edited name of a list manager row.
+   */
+  function getListRowName(row) {
+    return row.querySelector(".list-name-input").value.trim();
+  }
+
+  /**
+   * Reads the new-list name of the list manager.
+   */
+  function getListAddName() {
+    return listAddName.value.trim();
+  }
+
+  /**
+   * Clears the new-list name of the list manager.
+   */
+  function resetListAddName() {
+    listAddName.value = "";
+  }
+
+  /**
+   * Shows an error message in the list manager.
+   */
+  function showListError(message) {
+    listError.textContent = message;
+    listError.style.display = "block";
+  }
+
+  /**
+   * Hides the list manager error message.
+   */
+  function hideListError() {
+    listError.style.display = "none";
+  }
+
+  /**
+   * Asks what to do with a list's tasks before deleting it:
+   * move them to another list or delete them too.
+   */
+  function showListDeletePanel(listId, taskCount) {
+    listDeletePanel.setAttribute("data-list-id", listId);
+    listDeleteMessage.textContent = `"${
+      TasksModule.getList(listId).name
+    }" has ${taskCount} task(s). Move them to:`;
+    fillListSelect(
+      listDeleteTarget,
+      TasksModule.getLists().filter((list) => list.id !== listId)
+    );
+    const removeOption = document.createElement("option");
+    removeOption.value = "";
+    removeOption.textContent = "Move the tasks to the trash";
+    listDeleteTarget.appendChild(removeOption);
+    listDeleteTarget.selectedIndex = 0;
+
+    listDeletePanel.style.display = "block";
+  }
+
+  /**
+   * Hides the delete-list question.
+   */
+  function hideListDeletePanel() {
+    listDeletePanel.style.display = "none";
+    listDeletePanel.removeAttribute("data-list-id");
+  }
+
+  /**
+   * Gets the list being deleted and where its tasks should go
+   * (null to delete them).
+   */
+  function getListDeleteChoice() {
+    return {
+      listId: Number(listDeletePanel.getAttribute("data-list-id")),
+      moveTo: Number(listDeleteTarget.value) || null,
+    };
+  }
+
+  /**
+   * Checks whether the list manager is the visible view.
+   */
+  function isListManagerVisible() {
+    return listManagerView.style.display !== "none";
+  }
+
+  /**
+   * Renders the rows of an import preview with their action and reason.
+   */
+  function renderImportPreview(preview) {
+    const actionClasses = {
+      add: "text-bg-success",
+      merge: "text-bg-warning",
+      reject: "text-bg-danger",
+    };
+    const counts = { add: 0, merge: 0, reject: 0 };
+    importPreviewBody.innerHTML = "";
+    importError.style.display = "none";
+
+    preview.forEach((item) => {
+      counts[item.action]++;
+      const row = document.createElement("tr");
+      [item.row, item.fields.name, item.action, item.reason].forEach(
+        (value, index) => {
+          const cell = document.createElement("td");
+          if (index === 2) {
+            const badge = document.createElement("span");
+            badge.className = `badge ${actionClasses[item.action]}`;
+            badge.textContent = capitalizeFirst(value);
+            cell.appendChild(badge);
+          } else {
+            cell.textContent = value;
+          }
+          row.appendChild(cell);
+        }
+      );
+      importPreviewBody.appendChild(row);
+    });
+
+    importSummary.textContent = `${counts.add} to add, ${counts.merge} to merge, ${counts.reject} rejected.`;
+    confirmImportBtn.disabled = counts.add + counts.merge === 0;
+  }
+
+  /**
+   * Shows an error in the import view when a file cannot be read.
+   */
+  function showImportError(message) {
+    importPreviewBody.innerHTML = "";
+    importSummary.textContent = "";
+    importError.textContent = message;
+    importError.style.display = "block";
+    confirmImportBtn.disabled = true;
+  }
+
+  /**
+   * Enables the undo/redo buttons and describes what they would do.
+   */
+  function updateHistoryButtons() {
+    const undoLabel = TasksModule.getUndoLabel();
+    const redoLabel = TasksModule.getRedoLabel();
+    undoBtn.disabled = !undoLabel;
+    redoBtn.disabled = !redoLabel;
+    undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+    redoBtn.title = redoLabel
+      ? `Redo ${redoLabel} (Ctrl+Shift+Z)`
+      : "Redo (Ctrl+Shift+Z)";
+  }
+
+  /**
+   * Shows a transient message with an optional action button. Pass a
+   * duration of null to keep it until it is closed.
+   */
+  function showToast(
+    message,
+    actionText = null,
+    onAction = null,
+    duration = TOAST_DURATION_MS
+  ) {
+    const toast = document.createElement("div");
+    toast.className = "toast show align-items-center";
+    toast.setAttribute("role", "status");
+    toast.innerHTML = `
+    <div class="d-flex align-items-center p-2 gap-2">
+        <div class="toast-body me-auto"></div>
+    </div>`;
+    toast.querySelector(".toast-body").textContent = message;
+
+    const removeToast = () => toast.remove();
+    if (actionText && onAction) {
+      const actionBtn = document.createElement("button");
+      actionBtn.className = "btn btn-sm btn-primary";
+      actionBtn.textContent = actionText;
+      actionBtn.addEventListener("click", () => {
+        removeToast();
+        onAction();
+      });
+      toast.firstElementChild.appendChild(actionBtn);
+    }
+
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "btn-close";
+    closeBtn.setAttribute("aria-label", "Close");
+    closeBtn.addEventListener("click", removeToast);
+    toast.firstElementChild.appendChild(closeBtn);
+
+    toastContainer.appendChild(toast);
+    if (duration) {
+      setTimeout(removeToast, duration);
+    }
+    return toast;
+  }
+
+  /**
+   * Checks whether reminders may use system notifications.
+   */
+  function canUseSystemNotifications() {
+    return "Notification" in window && Notification.permission === "granted";
+  }
+
+  /**
+   * Shows the "enable notifications" button only while permission is undecided.
+   */
+  function updateNotificationButton() {
+    const undecided =
+      "Notification" in window && Notification.permission === "default";
+    enableNotificationsBtn.style.display = undecided ? "inline-block" : "none";
+  }
+
+  /**
+   * Shows a system notification; clicking it focuses the app.
+   */
+  function showSystemNotification(title, body, tag, onClick) {
+    const notification = new Notification(title, { body: body, tag: tag });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      onClick();
+    };
+  }
+
+  /**
+   * Shows an in-page reminder alert with Snooze and Dismiss buttons.
+   */
+  function showReminderBanner(taskId, message, onSnooze) {
+    const existing = reminderBanner.querySelector(
+      `[data-reminder-task-id="${taskId}"]`
+    );
+    if (existing) {
+      existing.remove();
+    }
+
+    const alert = document.createElement("div");
+    alert.className =
+      "alert alert-warning d-flex align-items-center gap-2 reminder-alert";
+    alert.setAttribute("role", "alert");
+    alert.setAttribute("data-reminder-task-id", taskId);
+    alert.innerHTML = `
+    <span class="me-auto reminder-message"></span>
+    <button type="button" class="btn btn-sm btn-outline-dark" data-action="snooze">Snooze 10 min</button>
+    <button type="button" class="btn-close" aria-label="Dismiss" data-action="dismiss"></button>`;
+    alert.querySelector(".reminder-message").textContent = message;
+    alert
+      .querySelector('[data-action="snooze"]')
+      .addEventListener("click", () => {
+        alert.remove();
+        onSnooze();
+      });
+    alert
+      .querySelector('[data-action="dismiss"]')
+      .addEventListener("click", () => alert.remove());
+    reminderBanner.appendChild(alert);
+  }
+
+  /**
+   * Shows why saved tasks could not be loaded and that changes are not saved.
+   */
+  function showLoadError(error) {
+    loadErrorAlert.textContent = `Your saved tasks could not be loaded (${error.message}). Changes will not be saved until the page is reloaded and they load.`;
+    loadErrorAlert.style.display = "block";
+  }
+
+  /**
+   * Offers text content to the user as a file download.
+   */
+  function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Populates the category dropdown in the task form,
+   * keeping the selection when that category still exists.
+   */
+  function updateCategorySelect(selectedCategory = taskCategory.value) {
+    const categories = TasksModule.getAvailableCategories();
+    console.log("Available Categories:", categories);
+    taskCategory.innerHTML = '<option value="">Select category</option>';
+
+    categories.forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category;
+      option.textContent = getCategoryLabel(category);
+      taskCategory.appendChild(option);
+    });
+    taskCategory.value = categories.includes(selectedCategory)
+      ? selectedCategory
+      : "";
+  }
+
+  /**
+   * Refreshes the category filter chips.
+   */
+  function updateCategoryFilter() {
+    const categories = TasksModule.getAvailableCategories();
+    const selected = TasksModule.getFilter().categories;
+    categoryFilter.innerHTML = "";
+
+    categories.forEach((category) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "btn btn-sm btn-outline-primary filter-chip";
+      chip.setAttribute("data-category", category);
+      chip.textContent = getCategoryLabel(category);
+      categoryFilter.appendChild(chip);
+    });
+
+    setChipsActive(categoryFilter, "data-category", selected);
+  }
+
+  /**
+   * Marks the chips whose attribute value is in `selected` as active.
+   */
+  function setChipsActive(container, attribute, selected) {
+    container.querySelectorAll(`[${attribute}]`).forEach((chip) => {
+      const isActive = selected.includes(chip.getAttribute(attribute));
+      chip.classList.toggle("active", isActive);
+      chip.setAttribute("aria-pressed", String(isActive));
+    });
+  }
+
+  /**
+   * Refreshes the tag filter chips; the row is hidden until tasks have tags.
+   * Selected tags stay listed so they can be deselected.
+   */
+  function updateTagFilter() {
+    const filter = TasksModule.getFilter();
+    const tags = Array.from(
+      new Set([...TasksModule.getAllTags(), ...filter.tags])
+    ).sort();
+    tagFilter.innerHTML = "";
+
+    tags.forEach((tag) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "btn btn-sm btn-outline-info filter-chip";
+      chip.setAttribute("data-tag", tag);
+      chip.textContent = `#${tag}`;
+      tagFilter.appendChild(chip);
+    });
+
+    setChipsActive(tagFilter, "data-tag", filter.tags);
+    tagMatchMode.value = filter.tagMode;
+    tagFilterRow.style.display = tags.length > 0 ? "flex" : "none";
+  }
+
+  /**
+   * Sets every filter control to reflect the given filter.
+   */
+  function syncFilterControls(filter) {
+    searchInput.value = filter.text;
+    setChipsActive(categoryFilter, "data-category", filter.categories);
+    setChipsActive(priorityFilter, "data-priority", filter.priorities);
+    setChipsActive(tagFilter, "data-tag", filter.tags);
+    tagMatchMode.value = filter.tagMode;
+    dueFromFilter.value = filter.dueFrom;
+    dueToFilter.value = filter.dueTo;
+    overdueOnlyFilter.checked = filter.overdueOnly;
+    readyOnlyFilter.checked = filter.readyOnly;
+    completionFilter.value = filter.completion;
+    clearFiltersBtn.disabled = !TasksModule.isFilterActive(filter);
+  }
+
+  /**
+   * Hides all task name error messages.
+   */
+  function hideTaskNameErrors() {
+    taskNameEmptyError.style.display = "none";
+    taskNamePatternError.style.display = "none";
+    taskNameDuplicateError.style.display = "none";
+    taskNameInput.classList.remove("is-invalid");
+  }
+
+  /**
+   * Shows the empty task name error.
+   */
+  function showEmptyNameError() {
+    taskNameInput.classList.add("is-invalid");
+    taskNameEmptyError.style.display = "block";
+    taskNamePatternError.style.display = "none";
+    taskNameDuplicateError.style.display = "none";
+  }
+
+  /**
+   * Shows the invalid pattern error for task name.
+   */
+  function showPatternNameError() {
+    taskNameInput.classList.add("is-invalid");
+    taskNameEmptyError.style.display = "none";
+    taskNamePatternError.style.display = "block";
+    taskNameDuplicateError.style.display = "none";
+  }
+
+  /**
+   * Shows the duplicate name error.
+   */
+  function showDuplicateNameError() {
+    taskNameInput.classList.add("is-invalid");
+    taskNameEmptyError.style.display = "none";
+    taskNamePatternError.style.display = "none";
+    taskNameDuplicateError.style.display = "block";
+  }
+
+  /**
+   * Shows description validation error.
+   */
+  function showDescriptionError() {
+    taskDescriptionInput.classList.add("is-invalid");
+    taskDescriptionError.style.display = "block";
+  }
+
+  /**
+   * Hides description validation error.
+   */
+  function hideDescriptionError() {
+    taskDescriptionInput.classList.remove("is-invalid");
+    taskDescriptionError.style.display = "none";
+  }
+
+  /**
+   * Shows repeat settings validation error.
+   */
+  function showRepeatError() {
+    taskRepeat.classList.add("is-invalid");
+    taskRepeatError.style.display = "block";
+  }
+
+  /**
+   * Hides repeat settings validation error.
+   */
+  function hideRepeatError() {
+    taskRepeat.classList.remove("is-invalid");
+    taskRepeatError.style.display = "none";
+  }
+
+  /**
+   * Shows checklist validation error.
+   */
+  function showChecklistError() {
+    checklistNewItem.classList.add("is-invalid");
+    checklistError.style.display = "block";
+  }
+
+  /**
+   * Hides checklist validation error.
+   */
+  function hideChecklistError() {
+    checklistNewItem.classList.remove("is-invalid");
+    checklistError.style.display = "none";
+  }
+
+  /**
+   * Clears all form validation states.
+   */
+  function clearFormValidation() {
+    taskNameInput.classList.remove("is-invalid");
+    taskDescriptionInput.classList.remove("is-invalid");
+    taskNameEmptyError.style.display = "none";
+    taskNamePatternError.style.display = "none";
+    taskNameDuplicateError.style.display = "none";
+    taskDescriptionError.style.display = "none";
+    hideRepeatError();
+    hideChecklistError();
+    hideNewCategoryError();
+    hideTagError();
+    hideDependencyError();
+    hideEstimateError();
+  }
+
+  /**
+   * Shows estimate validation error.
+   */
+  function showEstimateError() {
+    taskEstimate.classList.add("is-invalid");
+    taskEstimateError.style.display = "block";
+  }
+
+  /**
+   * Hides estimate validation error.
+   */
+  function hideEstimateError() {
+    taskEstimate.classList.remove("is-invalid");
+    taskEstimateError.style.display = "none";
+  }
+
+  /**
+   * Lists the other tasks as possible prerequisites, selecting the given IDs.
+   */
+  function renderDependencyOptions(taskId, selectedIds) {
+    taskDependsOn.innerHTML = "";
+    TasksModule.getAllTasks()
+      .filter((task) => task.id !== taskId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((task) => {
+        const option = document.createElement("option");
+        option.value = task.id;
+        option.textContent = `${task.name} (#${task.id})${
+          task.completed ? " - done" : ""
+        }`;
+        option.selected = selectedIds.includes(task.id);
+        taskDependsOn.appendChild(option);
+      });
+    updateDependencyWarning();
+  }
+
+  /**
+   * Reads the prerequisite task IDs picked in the form.
+   */
+  function getDependencyValues() {
+    return Array.from(taskDependsOn.selectedOptions).map((option) =>
+      Number(option.value)
+    );
+  }
+
+  /**
+   * Warns when the form's due date is earlier than a picked prerequisite's.
+   */
+  function updateDependencyWarning() {
+    const latePrerequisites = TasksModule.getLatePrerequisites(
+      taskDueDateInput.value,
+      getDependencyValues()
+    );
+    taskDependsOnWarning.textContent =
+      latePrerequisites.length > 0
+        ? `Due before its prerequisite: ${latePrerequisites
+            .map((task) => task.name)
+            .join(", ")}`
+        : "";
+    taskDependsOnWarning.style.display =
+      taskDueDateInput.value && latePrerequisites.length > 0 ? "block" : "none";
+  }
+
+  /**
+   * Shows dependency cycle error.
+   */
+  function showDependencyError() {
+    taskDependsOn.classList.add("is-invalid");
+    taskDependsOnError.style.display = "block";
+  }
+
+  /**
+   * Hides dependency cycle error.
+   */
+  function hideDependencyError() {
+    taskDependsOn.classList.remove("is-invalid");
+    taskDependsOnError.style.display = "none";
+  }
+
+  /**
+   * Builds a removable badge for a tag in the form's tag editor.
+   */
+  function createTagEditorBadge(tag) {
+    const badge = document.createElement("span");
+    badge.className =
+      "badge rounded-pill text-bg-info d-flex align-items-center gap-1";
+    badge.setAttribute("data-tag", tag);
+    badge.innerHTML = `<span></span><button type="button" class="btn-close btn-close-white" style="font-size: 0.5rem" aria-label="Remove tag" data-action="remove"></button>`;
+    badge.firstElementChild.textContent = `#${tag}`;
+    return badge;
+  }
+
+  /**
+   * Shows the given tags in the form's tag editor and refreshes suggestions.
+   */
+  function renderTagEditor(tags) {
+    taskTagList.innerHTML = "";
+    tags.forEach((tag) => taskTagList.appendChild(createTagEditorBadge(tag)));
+    taskTagInput.value = "";
+
+    tagSuggestions.innerHTML = "";
+    TasksModule.getAllTags().forEach((tag) => {
+      const option = document.createElement("option");
+      option.value = tag;
+      tagSuggestions.appendChild(option);
+    });
+  }
+
+  /**
+   * Splits the text typed in the tag input into tags (comma or space separated).
+   */
+  function getPendingTags() {
+    return taskTagInput.value
+      .split(/[\s,]+/)
+      .map((tag) => tag.replace(/^#/, ""))
+      .filter(Boolean);
+  }
+
+  /**
+   * Adds the tags typed in the tag input to the editor, skipping ones
+   * already there. Returns false (and adds nothing) if any tag is invalid.
+   */
+  function addTagsFromInput() {
+    const pendingTags = getPendingTags();
+    if (!pendingTags.every(TasksModule.validateTag)) {
+      showTagError();
+      return false;
+    }
+
+    hideTagError();
+    const currentTags = getTagValues();
+    TasksModule.normalizeTags(pendingTags)
+      .filter((tag) => !currentTags.includes(tag))
+      .forEach((tag) => taskTagList.appendChild(createTagEditorBadge(tag)));
+    taskTagInput.value = "";
+    return true;
+  }
+
+  /**
+   * Removes a tag from the form's tag editor.
+   */
+  function removeEditorTag(tag) {
+    const badge = taskTagList.querySelector(`[data-tag="${tag}"]`);
+    if (badge) {
+      badge.remove();
+    }
+  }
+
+  /**
+   * Reads the tags shown in the form's tag editor.
+   */
+  function getTagValues() {
+    return Array.from(taskTagList.querySelectorAll("[data-tag]")).map((badge) =>
+      badge.getAttribute("data-tag")
+    );
+  }
+
+  /**
+   * Shows tag validation error.
+   */
+  function showTagError() {
+    taskTagInput.classList.add("is-invalid");
+    taskTagError.style.display = "block";
+  }
+
+  /**
+   * Hides tag validation error.
+   */
+  function hideTagError() {
+    taskTagInput.classList.remove("is-invalid");
+    taskTagError.style.display = "none";
+  }
+
+  /**
+   * Builds an editable row for one checklist item.
+   */
+  function createChecklistRow(item) {
+    const row = document.createElement("li");
+    row.className =
+      "list-group-item d-flex gap-2 align-items-center checklist-row";
+    if (item.id) {
+      row.setAttribute("data-item-id", item.id);
+    }
+    row.innerHTML = `
+        <input class="form-check-input mt-0" type="checkbox" aria-label="Done">
+        <input type="text" class="form-control form-control-sm" aria-label="Checklist item">
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="up" title="Move up">&uarr;</button>
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-action="down" title="Move down">&darr;</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove" title="Remove">&times;</button>`;
+    row.querySelector('input[type="checkbox"]').checked = item.done;
+    row.querySelector('input[type="text"]').value = item.text;
+    return row;
+  }
+
+  /**
+   * Renders the checklist editor rows.
+   */
+  function renderChecklistEditor(items) {
+    checklistItems.innerHTML = "";
+    items.forEach((item) =>
+      checklistItems.appendChild(createChecklistRow(item))
+    );
+    checklistNewItem.value = "";
+  }
+
+  /**
+   * Appends the text typed in the "add item" input as a new checklist row.
+   */
+  function addChecklistItemFromInput() {
+    const text = checklistNewItem.value.trim();
+    if (text === "") {
+      return;
+    }
+    checklistItems.appendChild(createChecklistRow({ text: text, done: false }));
+    checklistNewItem.value = "";
+    checklistNewItem.focus();
+  }
+
+  /**
+   * Applies a reorder/remove action from a checklist row button.
+   */
+  function applyChecklistRowAction(row, action) {
+    if (action === "remove") {
+      row.remove();
+    } else if (action === "up" && row.previousElementSibling) {
+      checklistItems.insertBefore(row, row.previousElementSibling);
+    } else if (action === "down" && row.nextElementSibling) {
+      checklistItems.insertBefore(row.nextElementSibling, row);
+    }
+  }
+
+  /**
+   * Reads the checklist items from the editor, in order.
+   */
+  function getChecklistValues() {
+    return Array.from(checklistItems.querySelectorAll(".checklist-row")).map(
+      (row) => ({
+        id: Number(row.getAttribute("data-item-id")) || null,
+        text: row.querySelector('input[type="text"]').value.trim(),
+        done: row.querySelector('input[type="checkbox"]').checked,
+      })
+    );
+  }
+
+  /**
+   * Shows the custom interval and end fields that apply to the chosen repeat.
+   */
+  function updateRepeatFields() {
+    const repeat = taskRepeat.value;
+    taskRepeatCustom.style.display = repeat === "custom" ? "flex" : "none";
+    taskRepeatEnds.style.display = repeat ? "flex" : "none";
+  }
+
+  /**
+   * Updates the submit button text.
+   */
+  function setSubmitButtonText(text) {
+    submitButton.textContent = text;
+  }
+
+  /**
+   * Sets a sort direction button's state and text.
+   */
+  function setSortDirectionButton(button, direction) {
+    button.setAttribute("data-direction", direction);
+    button.textContent = direction === "asc" ? "Ascending" : "Descending";
+  }
+
+  /**
+   * Updates the sort controls to reflect the current sort keys.
+   */
+  function updateSortControls() {
+    const [primary, secondary] = TasksModule.getSortKeys();
+    sortPrimaryKey.value = primary.key;
+    setSortDirectionButton(sortPrimaryDirection, primary.direction);
+    sortSecondaryKey.value = secondary ? secondary.key : "";
+    setSortDirectionButton(
+      sortSecondaryDirection,
+      secondary ? secondary.direction : "asc"
+    );
+    sortSecondaryDirection.disabled = !secondary;
+  }
+
+  /**
+   * Reads the sort keys chosen in the sort controls.
+   */
+  function getSortControlValues() {
+    const keys = [
+      {
+        key: sortPrimaryKey.value,
+        direction: sortPrimaryDirection.getAttribute("data-direction"),
+      },
+    ];
+    if (
+      sortSecondaryKey.value &&
+      sortSecondaryKey.value !== sortPrimaryKey.value
+    ) {
+      keys.push({
+        key: sortSecondaryKey.value,
+        direction: sortSecondaryDirection.getAttribute("data-direction"),
+      });
+    }
+    return keys;
+  }
+
+  /**
+   * Populates the form with task data for editing.
+   */
+  function populateFormWithTask(task) {
+    hideTaskChangedWarning();
+    taskNameInput.value = task.name;
+    updateListSelects(TasksModule.getTaskListId(task));
+    taskCategory.value = task.category;
+    const priorityInput = document.querySelector(
+      `input[name="priority"][value="${task.priority}"]`
+    );
+    if (priorityInput) {
+      priorityInput.checked = true;
+    }
+    document.getElementById("taskDueDate").value = task.dueDate;
+    taskDescriptionInput.value = task.description;
+
+    const recurrence = task.recurrence;
+    if (recurrence && recurrence.interval > 1) {
+      taskRepeat.value = "custom";
+      taskRepeatInterval.value = recurrence.interval;
+      taskRepeatUnit.value = recurrence.frequency;
+    } else {
+      taskRepeat.value = recurrence ? recurrence.frequency : "";
+    }
+    taskRepeatEndDate.value = (recurrence && recurrence.endDate) || "";
+    taskRepeatCount.value = (recurrence && recurrence.count) || "";
+    updateRepeatFields();
+
+    const reminderOffsets = (task.reminders || []).map(
+      (reminder) => reminder.offsetMinutes
+    );
+    document.querySelectorAll('input[name="reminder"]').forEach((input) => {
+      input.checked = reminderOffsets.includes(Number(input.value));
+    });
+
+    renderChecklistEditor(task.checklist || []);
+    checklistAutoComplete.checked = Boolean(task.autoCompleteChecklist);
+    renderTagEditor(task.tags || []);
+    renderDependencyOptions(task.id, task.dependsOn || []);
+    taskEstimate.value = task.estimateMinutes || "";
+  }
+
+  /**
+   * Describes a task's repeat rule, e.g. "Weekly" or "Every 2 months".
+   */
+  function getRecurrenceLabel(recurrence) {
+    const units = { daily: "days", weekly: "weeks", monthly: "months" };
+    return recurrence.interval > 1
+      ? `Every ${recurrence.interval} ${units[recurrence.frequency]}`
+      : capitalizeFirst(recurrence.frequency);
+  }
+
+  /**
+   * Builds the status text shown for a completed task.
+   */
+  function getCompletedStatusText(task) {
+    return task.completedAt
+      ? `Done ${new Date(task.completedAt).toLocaleString()}`
+      : "Done";
+  }
+
+  /**
+   * Builds the status text shown for an open task: the time left until its
+   * due date, "Overdue", or "No due date".
+   */
+  function getOpenStatusText(task, isOverdue) {
+    if (!task.dueDate) {
+      return "No due date";
+    }
+    return isOverdue
+      ? "Overdue"
+      : TasksModule.getTimeRemaining(new Date(task.dueDate));
+  }
+
+  /**
+   * Builds a DOM element representing a single task row.
+   */
+  function createTaskElement(task) {
+    const taskDiv = document.createElement("div");
+    taskDiv.className = "list-group-item task-item";
+    taskDiv.setAttribute("data-category", task.category);
+    taskDiv.setAttribute("data-task-id", task.id);
+    taskDiv.classList.add(`priority-${task.priority}`);
+    const isSelected = TasksModule.isTaskSelected(task.id);
+    const activeTimer = TasksModule.getActiveTimer();
+    const isTimerRunning = Boolean(
+      activeTimer && activeTimer.taskId === task.id
+    );
+    const hasTrackedTime =
+      isTimerRunning || task.estimateMinutes || task.timeEntries.length > 0;
+    const blockingTasks = TasksModule.getBlockingTasks(task);
+    const latePrerequisites = task.completed
+      ? []
+      : TasksModule.getLatePrerequisites(task.dueDate, task.dependsOn || []);
+    if (isSelected) {
+      taskDiv.classList.add("task-selected");
+    }
+
+    const progress = TasksModule.getChecklistProgress(task);
+    const isOverdue =
+      !task.completed && TasksModule.isTaskOverdue(task.dueDate);
+    const status = task.completed
+      ? getCompletedStatusText(task)
+      : getOpenStatusText(task, isOverdue);
+
+    if (isOverdue) {
+      taskDiv.classList.add("overdue-task");
+    }
+    if (task.completed) {
+      taskDiv.classList.add("completed-task");
     }
 
     taskDiv.innerHTML = `
     <div class="task-content d-flex justify-content-between align-items-center p-3 border rounded mb-2">
         <div class="task-info d-flex gap-2 align-items-center flex-wrap">
-            <span class="fw-bold">${task.name}</span>
-            <span class="text-muted">(${capitalizeFirst(task.category)})</span>
+            <input class="form-check-input mt-0 task-select" type="checkbox" title="Select for batch actions (Shift+click for a range)" aria-label="Select task" ${
+              isSelected ? "checked" : ""
+            }>
+            <span class="vr"></span>
+            <input class="form-check-input mt-0" type="checkbox" title="Mark as done" data-action="toggle-completed" ${
+              task.completed ? "checked" : ""
+            }>
+            <span class="fw-bold task-name"></span>
+            <span class="task-category"></span>
             <span class="text-primary">- ${capitalizeFirst(
               task.priority
             )} Priority</span>
+            ${
+              task.status === "in-progress"
+                ? '<span class="badge text-bg-primary">In progress</span>'
+                : ""
+            }
+            ${
+              blockingTasks.length > 0 && !task.completed
+                ? '<span class="badge text-bg-warning task-blocked"></span>'
+                : ""
+            }
+            ${
+              latePrerequisites.length > 0
+                ? '<span class="badge text-bg-danger task-late">&#9888; Due before prerequisite</span>'
+                : ""
+            }
+            ${
+              progress.total > 0
+                ? `<span class="badge text-bg-light border checklist-progress">&#9745; ${progress.done}/${progress.total} done</span>`
+                : ""
+            }
+            ${
+              task.recurrence
+                ? '<span class="badge text-bg-info task-recurrence" title="Repeats"></span>'
+                : ""
+            }
+            ${
+              hasTrackedTime
+                ? `<span class="task-time small ${
+                    isTimerRunning ? "text-primary fw-bold" : "text-muted"
+                  }"></span>`
+                : ""
+            }
             <span class="task-status ${
-              isOverdue ? "text-danger" : "text-success"
+              task.completed
+                ? "text-secondary"
+                : isOverdue
+                ? "text-danger"
+                : task.dueDate
+                ? "text-success"
+                : "text-muted"
             }">${status}</span>
         </div>
         <div class="d-flex gap-2">
-            <button class="btn btn-sm btn-warning" onclick="UiModule.editTask(${
-              task.id
-            })">Edit</button>
-            <button class="btn btn-sm btn-danger" onclick="UiModule.deleteTask(${
-              task.id
-            })">Delete</button>
+            ${
+              task.completed
+                ? ""
+                : `<button class="btn btn-sm ${
+                    isTimerRunning ? "btn-primary" : "btn-outline-primary"
+                  }" title="${
+                    isTimerRunning ? "Stop timer" : "Start timer"
+                  }" data-action="toggle-timer">${
+                    isTimerRunning ? "&#9632; Stop" : "&#9654; Start"
+                  }</button>`
+            }
+            <button class="btn btn-sm btn-warning" data-action="edit">Edit</button>
+            <button class="btn btn-sm btn-danger" data-action="delete">Delete</button>
         </div>
     </div>`;
+    // Task fields are set as text, never parsed as markup
+    taskDiv.querySelector(".task-name").textContent = task.name;
+    if (blockingTasks.length > 0 && !task.completed) {
+      taskDiv.querySelector(
+        ".task-blocked"
+      ).textContent = `Blocked by ${blockingTasks
+        .map((blockingTask) => blockingTask.name)
+        .join(", ")}`;
+    }
+    if (latePrerequisites.length > 0) {
+      taskDiv.querySelector(
+        ".task-late"
+      ).title = `Due before ${latePrerequisites
+        .map((prerequisite) => prerequisite.name)
+        .join(", ")}`;
+    }
+    if (task.recurrence) {
+      taskDiv.querySelector(
+        ".task-recurrence"
+      ).textContent = `\u21bb ${getRecurrenceLabel(task.recurrence)}`;
+    }
+    const categoryBadge = createCategoryBadge(task.category);
+    taskDiv.querySelector(".task-category").replaceWith(categoryBadge);
+    (task.tags || [])
+      .slice()
+      .reverse()
+      .forEach((tag) => {
+        const tagBadge = document.createElement("span");
+        tagBadge.className = "badge rounded-pill text-bg-info task-tag";
+        tagBadge.textContent = `#${tag}`;
+        categoryBadge.after(tagBadge);
+      });
     return taskDiv;
   }
 
   /**
-   * Renders the tasks list based on the current filter and due-date sorting.
+   * Builds a draggable board card for a task.
+   */
+  function createBoardCard(task) {
+    const card = document.createElement("div");
+    card.className = `card task-item board-card priority-${task.priority} mb-2`;
+    card.setAttribute("draggable", "true");
+    card.setAttribute("data-task-id", task.id);
+    if (task.completed) {
+      card.classList.add("completed-task");
+    }
+
+    card.innerHTML = `
+    <div class="card-body p-2 task-content">
+        <div class="fw-bold task-name"></div>
+        <div class="small text-muted task-details"></div>
+        <div class="d-flex justify-content-between align-items-center mt-1">
+            <span class="task-status small"></span>
+            <button class="btn btn-sm btn-warning" data-action="edit">Edit</button>
+        </div>
+    </div>`;
+    card.querySelector(".task-name").textContent = task.name;
+    card.querySelector(".task-details").textContent = `${getCategoryLabel(
+      task.category
+    )} - ${capitalizeFirst(task.priority)} Priority`;
+    card.querySelector(".task-status").textContent = task.completed
+      ? getCompletedStatusText(task)
+      : "";
+    return card;
+  }
+
+  /**
+   * Renders the board columns for the current grouping.
+   */
+  function displayBoard() {
+    taskBoard.innerHTML = "";
+
+    TasksModule.getBoardColumns().forEach((column) => {
+      const columnElement = document.createElement("div");
+      columnElement.className = "board-column";
+      columnElement.setAttribute("data-column-value", column.value);
+      columnElement.innerHTML = `
+      <h3 class="h6 d-flex justify-content-between">
+          <span class="board-column-title"></span>
+          <span class="badge text-bg-secondary">${column.tasks.length}</span>
+      </h3>
+      <div class="board-cards"></div>`;
+      columnElement.querySelector(".board-column-title").textContent =
+        column.title;
+
+      const cards = columnElement.querySelector(".board-cards");
+      column.tasks.forEach((task) => cards.appendChild(createBoardCard(task)));
+      taskBoard.appendChild(columnElement);
+    });
+  }
+
+  /**
+   * Builds a calendar entry for a task; clicking it opens the task for editing.
+   */
+  function createCalendarEntry(task) {
+    const entry = document.createElement("div");
+    entry.className = `task-item calendar-task priority-${task.priority} small`;
+    entry.setAttribute("draggable", "true");
+    entry.setAttribute("data-task-id", task.id);
+    entry.setAttribute("role", "button");
+    entry.setAttribute("data-action", "edit");
+    if (task.completed) {
+      entry.classList.add("completed-task");
+    }
+
+    entry.innerHTML = `
+    <div class="task-content px-1">
+        <span class="text-muted calendar-time"></span>
+        <span class="task-name"></span>
+    </div>`;
+    entry.querySelector(".calendar-time").textContent = task.dueDate.slice(
+      11,
+      16
+    );
+    entry.querySelector(".task-name").textContent = task.name;
+    entry.title = `${task.name} - ${capitalizeFirst(task.priority)} Priority`;
+    return entry;
+  }
+
+  /**
+   * Formats the heading for the month or week the calendar shows.
+   */
+  function getCalendarTitle(days) {
+    if (TasksModule.getCalendarMode() === "month") {
+      return TasksModule.getCalendarDate().toLocaleDateString(undefined, {
+        month: "long",
+        year: "numeric",
+      });
+    }
+
+    const format = (dateKey) =>
+      new Date(`${dateKey}T00:00`).toLocaleDateString(undefined, {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      });
+    return `${format(days[0].date)} - ${format(days[days.length - 1].date)}`;
+  }
+
+  /**
+   * Renders the month or week calendar with tasks on their due day.
+   */
+  function displayCalendar() {
+    const days = TasksModule.getCalendarDays();
+    const mode = TasksModule.getCalendarMode();
+    calendarTitle.textContent = getCalendarTitle(days);
+    taskCalendar.className = `task-calendar calendar-${mode}`;
+    taskCalendar.innerHTML = "";
+
+    days.slice(0, 7).forEach((day) => {
+      const heading = document.createElement("div");
+      heading.className = "calendar-weekday text-center fw-bold small";
+      heading.textContent = new Date(`${day.date}T00:00`).toLocaleDateString(
+        undefined,
+        { weekday: "short" }
+      );
+      taskCalendar.appendChild(heading);
+    });
+
+    days.forEach((day) => {
+      const cell = document.createElement("div");
+      cell.className = "calendar-day";
+      cell.setAttribute("data-date", day.date);
+      cell.classList.toggle("calendar-outside", !day.inPeriod);
+      cell.classList.toggle("calendar-today", day.isToday);
+      cell.innerHTML = `<div class="calendar-date small">${Number(
+        day.date.slice(8)
+      )}</div>`;
+      day.tasks.forEach((task) => cell.appendChild(createCalendarEntry(task)));
+      taskCalendar.appendChild(cell);
+    });
+  }
+
+  /**
+   * Shows the list, board or calendar, matching the current display mode.
+   */
+  function updateDisplayModeControls() {
+    const mode = TasksModule.getDisplayMode();
+    taskList.style.display = mode === "list" ? "block" : "none";
+    taskBoard.style.display = mode === "board" ? "grid" : "none";
+    taskCalendar.style.display = mode === "calendar" ? "grid" : "none";
+    boardGroupByControl.style.display = mode === "board" ? "flex" : "none";
+    calendarControls.style.display = mode === "calendar" ? "flex" : "none";
+    boardGroupBy.value = TasksModule.getBoardGroupBy();
+    setToggleActive(displayModeToggle, "data-display-mode", mode);
+    setToggleActive(
+      calendarModeToggle,
+      "data-calendar-mode",
+      TasksModule.getCalendarMode()
+    );
+  }
+
+  /**
+   * Marks the button in a toggle group whose attribute matches the value.
+   */
+  function setToggleActive(group, attribute, value) {
+    group.querySelectorAll(`[${attribute}]`).forEach((button) => {
+      button.classList.toggle(
+        "active",
+        button.getAttribute(attribute) === value
+      );
+    });
+  }
+
+  /**
+   * Shows the batch action bar in list mode and reflects the selection:
+   * count, select-all state and whether the actions are enabled.
+   */
+  function updateBulkActions() {
+    const isListMode = TasksModule.getDisplayMode() === "list";
+    const selectedCount = TasksModule.getSelectedTaskIds().length;
+    const filteredCount = TasksModule.getFilteredTasks().length;
+
+    bulkActions.style.display =
+      isListMode && filteredCount > 0 ? "flex" : "none";
+    bulkSelectionCount.textContent = `${selectedCount} selected`;
+    selectAllTasks.checked =
+      selectedCount > 0 && selectedCount === filteredCount;
+    selectAllTasks.indeterminate =
+      selectedCount > 0 && selectedCount < filteredCount;
+    bulkActions.querySelectorAll("[data-bulk-action]").forEach((button) => {
+      button.disabled = selectedCount === 0;
+    });
+
+    const chosenCategory = bulkCategory.value;
+    bulkCategory.innerHTML = "";
+    TasksModule.getAvailableCategories().forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category;
+      option.textContent = getCategoryLabel(category);
+      bulkCategory.appendChild(option);
+    });
+    if (chosenCategory) {
+      bulkCategory.value = chosenCategory;
+    }
+
+    const chosenList = Number(bulkList.value);
+    fillListSelect(
+      bulkList,
+      TasksModule.getLists(false).filter(
+        (list) => list.id !== TasksModule.getActiveListId()
+      ),
+      chosenList
+    );
+    if (bulkList.selectedIndex === -1) {
+      bulkList.selectedIndex = 0;
+    }
+    bulkList.closest(".input-group").style.display =
+      bulkList.options.length > 0 ? "flex" : "none";
+  }
+
+  /**
+   * Gets the IDs of the tasks listed in the task list, in display order.
+   */
+  function getListedTaskIds() {
+    return Array.from(taskList.querySelectorAll(".task-item")).map((item) =>
+      Number(item.getAttribute("data-task-id"))
+    );
+  }
+
+  /**
+   * Reads the batch action inputs.
+   */
+  function getBulkActionValues() {
+    return {
+      category: bulkCategory.value,
+      priority: bulkPriority.value,
+      shiftDays: Number(bulkShiftDays.value),
+      listId: Number(bulkList.value),
+    };
+  }
+
+  /**
+   * Marks the day-shift input as invalid or valid.
+   */
+  function setBulkShiftDaysInvalid(invalid) {
+    bulkShiftDays.classList.toggle("is-invalid", invalid);
+  }
+
+  /**
+   * Highlights the board column or calendar day a task is dragged over.
+   */
+  function setDropTarget(targetElement) {
+    document.querySelectorAll(".drag-over").forEach((element) => {
+      if (element !== targetElement) {
+        element.classList.remove("drag-over");
+      }
+    });
+    if (targetElement) {
+      targetElement.classList.add("drag-over");
+    }
+  }
+
+  /**
+   * Renders the tasks list based on the current filter and due-date sorting.
+   */
+  function displayTasks() {
+    taskList.innerHTML = "";
+    updateDisplayModeControls();
+
+    if (TasksModule.getDisplayMode() === "board") {
+      displayBoard();
+    } else if (TasksModule.getDisplayMode() === "calendar") {
+      displayCalendar();
+    } else {
+      const filteredTasks = TasksModule.getFilteredTasks();
+
+      filteredTasks.forEach((task) => {
+        const taskElement = createTaskElement(task);
+        taskList.appendChild(taskElement);
+      });
+    }
+
+    updateTagFilter();
+    updateBulkActions();
+    refreshTaskStatuses();
+    updateHistoryButtons();
+    highlightFocusedTask();
+  }
+
+  /**
+   * Lists the IDs of the tasks shown in the current display mode, in page order.
+   */
+  function getNavigableTaskIds() {
+    const containers = { board: taskBoard, calendar: taskCalendar };
+    const container = containers[TasksModule.getDisplayMode()] || taskList;
+    const ids = Array.from(container.querySelectorAll(".task-item")).map(
+      (item) => Number(item.getAttribute("data-task-id"))
+    );
+    return Array.from(new Set(ids));
+  }
+
+  /**
+   * Marks the keyboard-focused task and scrolls it into view.
+   */
+  function highlightFocusedTask() {
+    const focusedTaskId = TasksModule.getFocusedTaskId();
+    document.querySelectorAll(".task-focused").forEach((item) => {
+      item.classList.remove("task-focused");
+    });
+    const focusedItem = document.querySelector(
+      `#taskList [data-task-id="${focusedTaskId}"], ` +
+        `#taskBoard [data-task-id="${focusedTaskId}"], ` +
+        `#taskCalendar [data-task-id="${focusedTaskId}"]`
+    );
+    if (focusedItem) {
+      focusedItem.classList.add("task-focused");
+      focusedItem.scrollIntoView({ block: "nearest" });
+    }
+  }
+
+  /**
+   * Checks whether the task list (rather than a form or report) is shown.
+   */
+  function isTaskListViewVisible() {
+    return taskListView.style.display !== "none";
+  }
+
+  /**
+   * Opens the command palette with an empty query.
+   */
+  function showCommandPalette() {
+    commandPaletteInput.value = "";
+    commandPalette.style.display = "flex";
+    commandPaletteInput.focus();
+  }
+
+  /**
+   * Closes the command palette.
+   */
+  function hideCommandPalette() {
+    commandPalette.style.display = "none";
+  }
+
+  /**
+   * Checks whether the command palette is open.
+   */
+  function isCommandPaletteOpen() {
+    return commandPalette.style.display !== "none";
+  }
+
+  /**
+   * Lists palette entries ({ label, shortcut }), highlighting the active one.
+   */
+  function renderCommandPalette(entries, activeIndex) {
+    commandPaletteList.innerHTML = "";
+    if (entries.length === 0) {
+      commandPaletteList.innerHTML =
+        '<div class="list-group-item text-muted">No matching commands</div>';
+      return;
+    }
+
+    entries.forEach((entry, index) => {
+      const item = document.createElement("button");
+      item.type = "button";
+      item.className =
+        "list-group-item list-group-item-action d-flex justify-content-between";
+      item.classList.toggle("active", index === activeIndex);
+      item.setAttribute("data-command-index", index);
+      item.innerHTML = "<span></span><kbd></kbd>";
+      item.firstElementChild.textContent = entry.label;
+      if (entry.shortcut) {
+        item.lastElementChild.textContent = entry.shortcut;
+      } else {
+        item.lastElementChild.remove();
+      }
+      commandPaletteList.appendChild(item);
+    });
+    const activeItem = commandPaletteList.querySelector(".active");
+    if (activeItem) {
+      activeItem.scrollIntoView({ block: "nearest" });
+    }
+  }
+
+  /**
+   * Shows or hides the keyboard shortcut overlay.
+   */
+  function toggleShortcutHelp(isVisible) {
+    shortcutHelp.style.display = isVisible ? "flex" : "none";
+  }
+
+  /**
+   * Checks whether the keyboard shortcut overlay is open.
+   */
+  function isShortcutHelpOpen() {
+    return shortcutHelp.style.display !== "none";
+  }
+
+  /**
+   * Updates the status display for all visible tasks.
+   */
+  function refreshTaskStatuses() {
+    const taskItems = document.querySelectorAll(
+      "#taskList .task-item, #taskBoard .task-item"
+    );
+
+    taskItems.forEach((taskItem) => {
+      const taskId = Number(taskItem.getAttribute("data-task-id"));
+      const taskData = TasksModule.getTaskById(taskId);
+      if (!taskData) {
+        return;
+      }
+
+      const timeElement = taskItem.querySelector(".task-time");
+      if (timeElement) {
+        timeElement.textContent = getTrackedTimeText(taskData);
+        timeElement.classList.toggle(
+          "text-danger",
+          Boolean(taskData.estimateMinutes) &&
+            TasksModule.getTrackedMinutes(taskData) > taskData.estimateMinutes
+        );
+      }
+      if (taskData.completed) {
+        return;
+      }
+
+      const isOverdue = TasksModule.isTaskOverdue(taskData.dueDate);
+      const statusElement = taskItem.querySelector(".task-status");
+      if (statusElement) {
+        statusElement.textContent = getOpenStatusText(taskData, isOverdue);
+        statusElement.classList.toggle("text-danger", isOverdue);
+        statusElement.classList.toggle(
+          "text-success",
+          !isOverdue && Boolean(taskData.dueDate)
+        );
+        statusElement.classList.toggle("text-muted", !taskData.dueDate);
+      }
+      taskItem.classList.toggle("overdue-task", isOverdue);
+    });
+  }
+
+  /**
+   * Gets form values.
+   */
+  function getFormValues() {
+    return {
+      taskName: taskNameInput.value.trim(),
+      taskListId: Number(taskListSelect.value),
+      taskCategory: taskCategory.value,
+      taskPriority: document.querySelector('input[name="priority"]:checked')
+        .value,
+      taskDueDate: taskDueDateInput.value,
+      taskDesc: taskDescriptionInput.value.trim(),
+      taskRepeat: getRepeatValues(),
+      taskChecklist: getChecklistValues(),
+      taskTags: getTagValues(),
+      taskDependsOn: getDependencyValues(),
+      taskEstimate: taskEstimate.value.trim(),
+      taskPendingTags: getPendingTags(),
+      taskReminders: Array.from(
+        document.querySelectorAll('input[name="reminder"]:checked')
+      ).map((input) => Number(input.value)),
+      taskAutoComplete: checklistAutoComplete.checked,
+    };
+  }
+
+  /**
+   * Gets the repeat settings from the form, or null if the task does not repeat.
+   */
+  function getRepeatValues() {
+    const repeat = taskRepeat.value;
+    if (!repeat) {
+      return null;
+    }
+    const isCustom = repeat === "custom";
+    return {
+      frequency: isCustom ? taskRepeatUnit.value : repeat,
+      interval: isCustom ? taskRepeatInterval.value : 1,
+      endDate: taskRepeatEndDate.value || null,
+      count: taskRepeatCount.value || null,
+    };
+  }
+
+  /**
+   * Shows the fields parsed from the quick-add text, or hides the preview
+   * while the input is empty.
+   */
+  function renderQuickAddPreview(parsed) {
+    quickAddPreview.innerHTML = "";
+    if (!quickAddInput.value.trim()) {
+      quickAddPreview.style.display = "none";
+      return;
+    }
+    quickAddPreview.style.display = "flex";
+
+    const addItem = (label, content, isMissing = false) => {
+      const item = document.createElement("span");
+      item.className = isMissing ? "text-danger" : "";
+      item.textContent = `${label}: `;
+      item.append(content);
+      quickAddPreview.appendChild(item);
+    };
+    addItem("Name", parsed.name || "—", !parsed.name);
+    addItem(
+      "Due",
+      parsed.dueDate ? new Date(parsed.dueDate).toLocaleString() : "missing",
+      !parsed.dueDate
+    );
+    addItem(
+      "Category",
+      parsed.category ? createCategoryBadge(parsed.category) : "missing",
+      !parsed.category
+    );
+    addItem("Priority", capitalizeFirst(parsed.priority));
+    if (parsed.tags.length > 0) {
+      addItem("Tags", parsed.tags.map((tag) => `#${tag}`).join(" "));
+    }
+  }
+
+  /**
+   * Shows a quick-add error message.
+   */
+  function showQuickAddError(message) {
+    quickAddInput.classList.add("is-invalid");
+    quickAddError.textContent = message;
+    quickAddError.style.display = "block";
+  }
+
+  /**
+   * Hides the quick-add error message.
+   */
+  function hideQuickAddError() {
+    quickAddInput.classList.remove("is-invalid");
+    quickAddError.style.display = "none";
+  }
+
+  /**
+   * Clears the quick-add bar after a task was added.
+   */
+  function resetQuickAdd() {
+    quickAddForm.reset();
+    hideQuickAddError();
+    renderQuickAddPreview(null);
+  }
+
+  /**
+   * Warns that the task being edited was changed or deleted in another tab.
+   */
+  function showTaskChangedWarning(isDeleted) {
+    taskChangedMessage.textContent = isDeleted
+      ? "This task was deleted in another tab. Saving will add it again."
+      : "This task was changed in another tab. Saving will overwrite those changes.";
+    reloadEditedTaskBtn.style.display = isDeleted ? "none" : "inline-block";
+    taskChangedWarning.style.display = "flex";
+  }
+
+  /**
+   * Hides the changed-in-another-tab warning.
+   */
+  function hideTaskChangedWarning() {
+    taskChangedWarning.style.display = "none";
+  }
+
+  /**
+   * Checks whether the category manager is the visible view.
+   */
+  function isCategoryManagerVisible() {
+    return categoryManagerView.style.display !== "none";
+  }
+
+  /**
+   * Resets the form.
+   */
+  function resetForm() {
+    taskForm.reset();
+    updateListSelects(TasksModule.getActiveListId());
+    hideTaskChangedWarning();
+    updateRepeatFields();
+    renderChecklistEditor([]);
+    renderTagEditor([]);
+    renderDependencyOptions(null, []);
+  }
+
+  // Return public API
+  return {
+    addTaskBtn,
+    taskForm,
+    categoryFilter,
+    completionFilter,
+    searchInput,
+    priorityFilter,
+    dueFromFilter,
+    dueToFilter,
+    overdueOnlyFilter,
+    readyOnlyFilter,
+    taskDueDateInput,
+    taskDependsOn,
+    timeReportBtn,
+    timeReportFrom,
+    timeReportTo,
+    closeTimeReportBtn,
+    dashboardBtn,
+    closeDashboardBtn,
+    archiveBtn,
+    archiveSearch,
+    archiveAfterDays,
+    archiveList,
+    closeArchiveBtn,
+    trashBtn,
+    trashRetentionDays,
+    emptyTrashBtn,
+    trashList,
+    closeTrashBtn,
+    syncBtn,
+    syncEndpointInput,
+    saveSyncEndpointBtn,
+    syncNowBtn,
+    syncConflicts,
+    closeSyncBtn,
+    quickAddForm,
+    quickAddInput,
+    reloadEditedTaskBtn,
+    commandPalette,
+    commandPaletteInput,
+    commandPaletteList,
+    shortcutHelp,
+    shortcutHelpBtn,
+    closeShortcutHelpBtn,
+    clearFiltersBtn,
+    taskNameInput,
+    taskDescriptionInput,
+    taskRepeat,
+    checklistItems,
+    checklistNewItem,
+    checklistAddBtn,
+    taskList,
+    bulkActions,
+    selectAllTasks,
+    taskTagList,
+    taskTagInput,
+    taskTagAddBtn,
+    tagFilter,
+    tagMatchMode,
+    taskBoard,
+    taskCalendar,
+    calendarControls,
+    calendarModeToggle,
+    displayModeToggle,
+    boardGroupBy,
+    sortPrimaryKey,
+    sortPrimaryDirection,
+    sortSecondaryKey,
+    sortSecondaryDirection,
+    cancelBtn,
+    exportJsonBtn,
+    exportCsvBtn,
+    exportIcsEventsBtn,
+    exportIcsTodosBtn,
+    exportFilteredOnly,
+    importFileInput,
+    confirmImportBtn,
+    cancelImportBtn,
+    undoBtn,
+    redoBtn,
+    enableNotificationsBtn,
+    newCategoryInput,
+    newCategoryBtn,
+    manageCategoriesBtn,
+    categoryAddBtn,
+    categoryAddName,
+    categoryTableBody,
+    confirmCategoryDeleteBtn,
+    cancelCategoryDeleteBtn,
+    closeCategoryManagerBtn,
+    listSwitcher,
+    manageListsBtn,
+    taskListSelect,
+    listAddBtn,
+    listAddName,
+    listTableBody,
+    confirmListDeleteBtn,
+    cancelListDeleteBtn,
+    closeListManagerBtn,
+    showTaskFormView,
+    showTaskListView,
+    showTaskImportView,
+    showCategoryManagerView,
+    showListManagerView,
+    showTimeReportView,
+    showDashboardView,
+    showArchiveView,
+    showTrashView,
+    renderArchiveView,
+    renderTrashView,
+    getRetentionValues,
+    setArchiveAfterDaysInvalid,
+    setTrashRetentionDaysInvalid,
+    showSyncView,
+    updateSyncIndicator,
+    renderSyncView,
+    showSyncEndpointError,
+    hideSyncEndpointError,
+    renderTimeReport,
+    showEstimateError,
+    hideEstimateError,
+    renderCategoryManager,
+    getCategoryRowValues,
+    getCategoryAddValues,
+    resetCategoryAddFields,
+    showCategoryError,
+    hideCategoryError,
+    showCategoryDeletePanel,
+    hideCategoryDeletePanel,
+    getCategoryDeleteChoice,
+    showNewCategoryError,
+    hideNewCategoryError,
+    updateListSelects,
+    renderListManager,
+    getListRowName,
+    getListAddName,
+    resetListAddName,
+    showListError,
+    hideListError,
+    showListDeletePanel,
+    hideListDeletePanel,
+    getListDeleteChoice,
+    isListManagerVisible,
+    renderImportPreview,
+    showImportError,
+    updateHistoryButtons,
+    showToast,
+    canUseSystemNotifications,
+    updateNotificationButton,
+    showSystemNotification,
+    showReminderBanner,
+    showLoadError,
+    downloadFile,
+    updateCategorySelect,
+    updateCategoryFilter,
+    syncFilterControls,
+    hideTaskNameErrors,
+    showEmptyNameError,
+    showPatternNameError,
+    showDuplicateNameError,
+    showDescriptionError,
+    hideDescriptionError,
+    showRepeatError,
+    hideRepeatError,
+    updateRepeatFields,
+    showChecklistError,
+    hideChecklistError,
+    addChecklistItemFromInput,
+    applyChecklistRowAction,
+    addTagsFromInput,
+    removeEditorTag,
+    showTagError,
+    hideTagError,
+    updateDependencyWarning,
+    showDependencyError,
+    hideDependencyError,
+    clearFormValidation,
+    setSubmitButtonText,
+    updateSortControls,
+    getSortControlValues,
+    populateFormWithTask,
+    displayTasks,
+    getListedTaskIds,
+    getBulkActionValues,
+    setBulkShiftDaysInvalid,
+    setDropTarget,
+    refreshTaskStatuses,
+    getFormValues,
+    resetForm,
+    getNavigableTaskIds,
+    highlightFocusedTask,
+    isTaskListViewVisible,
+    showCommandPalette,
+    hideCommandPalette,
+    isCommandPaletteOpen,
+    renderCommandPalette,
+    toggleShortcutHelp,
+    isShortcutHelpOpen,
+    showTaskChangedWarning,
+    hideTaskChangedWarning,
+    isCategoryManagerVisible,
+    renderQuickAddPreview,
+    showQuickAddError,
+    hideQuickAddError,
+    resetQuickAdd,
+  };
+})();
+
+/* ============================================================
+   UI MODULE
+   Manages user interactions and coordinates between modules
+   ============================================================ */
+
+const UiModule = (() => {
+  let countdownIntervalId = null;
+  let lastSelectedTaskId = null; // Anchor for Shift+click range selection
+  let pendingImport = null;
+  let paletteEntries = []; // Command palette entries matching the query
+  let paletteIndex = 0; // Highlighted command palette entry
+
+  // Minutes a reminder is postponed by "Snooze"
+  const REMINDER_SNOOZE_MINUTES = 10;
+
+  // How often queued changes are pushed and the shared list is pulled
+  const SYNC_INTERVAL_MS = 30000;
+
+  /**
+   * Resets the editing state to default (adding mode).
+   */
+  function resetEditState() {
+    TasksModule.setEditingTaskId(null);
+    DomModule.setSubmitButtonText("Add Task");
+  }
+
+  /**
+   * Handles the "Add Task" button click.
+   */
+  function handleAddTaskClick() {
+    DomModule.showTaskFormView();
+    DomModule.updateCategorySelect();
+    resetEditState();
+    DomModule.resetForm();
+  }
+
+  /**
+   * Handles the cancel button click.
+   */
+  function handleCancelClick() {
+    DomModule.showTaskListView();
+    DomModule.resetForm();
+    DomModule.clearFormValidation();
+    resetEditState();
+  }
+
+  /**
+   * Validates task name on blur for immediate feedback.
+   */
+  function handleTaskNameBlur() {
+    const taskName = DomModule.taskNameInput.value.trim();
+    DomModule.hideTaskNameErrors();
+
+    if (taskName === "") {
+      // Empty - don't show error on initial blur
+    } else if (!TasksModule.validateTaskName(taskName)) {
+      DomModule.showPatternNameError();
+    } else if (
+      TasksModule.isTaskNameDuplicate(
+        taskName,
+        TasksModule.getEditingTaskId(),
+        Number(DomModule.taskListSelect.value)
+      )
+    ) {
+      DomModule.showDuplicateNameError();
+    }
+  }
+
+  /**
+   * Validates description on blur for immediate feedback.
+   */
+  function handleDescriptionBlur() {
+    const description = DomModule.taskDescriptionInput.value.trim();
+
+    if (description && !TasksModule.validateDescription(description)) {
+      DomModule.showDescriptionError();
+    } else {
+      DomModule.hideDescriptionError();
+    }
+  }
+
+  /**
+   * Runs the task checks shared by the form and the quick-add bar. Returns
+   * the key of the first failed check, or null when the input is valid.
+   */
+  function getTaskInputError(values, editingTaskId) {
+    const {
+      taskName,
+      taskListId,
+      taskDueDate,
+      taskDesc,
+      taskRepeat,
+      taskChecklist,
+      taskPendingTags,
+      taskDependsOn,
+      taskEstimate,
+    } = values;
+
+    // Validate task name - check empty first, then pattern, then duplicates
+    // within the list the task goes to
+    if (taskName === "") {
+      return "emptyName";
+    }
+    if (!TasksModule.validateTaskName(taskName)) {
+      return "patternName";
+    }
+    if (TasksModule.isTaskNameDuplicate(taskName, editingTaskId, taskListId)) {
+      return "duplicateName";
+    }
+
+    // Validate description if not empty
+    if (taskDesc && !TasksModule.validateDescription(taskDesc)) {
+      return "description";
+    }
+
+    // Validate repeat settings
+    if (!TasksModule.validateRecurrence(taskRepeat, taskDueDate)) {
+      return "repeat";
+    }
+
+    // Validate checklist items
+    if (
+      taskChecklist.some(
+        (item) => item.text && !TasksModule.validateChecklistItem(item.text)
+      )
+    ) {
+      return "checklist";
+    }
+
+    // Validate tags, including any still typed in the tag input
+    if (!taskPendingTags.every(TasksModule.validateTag)) {
+      return "tags";
+    }
+
+    // Validate prerequisites (no task may end up depending on itself)
+    if (!TasksModule.validateDependencies(editingTaskId, taskDependsOn)) {
+      return "dependencies";
+    }
+
+    // Validate estimate if not empty
+    if (!TasksModule.validateEstimate(taskEstimate)) {
+      return "estimate";
+    }
+    return null;
+  }
+
+  // Form error shown for each getTaskInputError() result
+  const formErrorHandlers = {
+    emptyName: DomModule.showEmptyNameError,
+    patternName: DomModule.showPatternNameError,
+    duplicateName: DomModule.showDuplicateNameError,
+    description: DomModule.showDescriptionError,
+    repeat: DomModule.showRepeatError,
+    checklist: DomModule.showChecklistError,
+    tags: DomModule.showTagError,
+    dependencies: DomModule.showDependencyError,
+    estimate: DomModule.showEstimateError,
+  };
+
+  // Quick-add message for each error the quick-add text can produce
+  const quickAddErrorMessages = {
+    emptyName: "Type a task name",
+    patternName: "Task name can only contain letters, numbers, and spaces",
+    duplicateName: "Task name already exists",
+    tags: "Tags can only contain letters, numbers, and hyphens (up to 30 characters)",
+    category: "Add an existing category, e.g. #work",
+    dueDate: "Add a due date, e.g. tomorrow 5pm",
+  };
+
+  /**
+   * Handles form submission.
+   */
+  function handleFormSubmit(e) {
+    e.preventDefault();
+
+    const values = DomModule.getFormValues();
+    const {
+      taskName,
+      taskListId,
+      taskCategory,
+      taskPriority,
+      taskDueDate,
+      taskDesc,
+      taskRepeat,
+      taskChecklist,
+      taskTags,
+      taskPendingTags,
+      taskDependsOn,
+      taskEstimate,
+      taskAutoComplete,
+      taskReminders,
+    } = values;
+    const editingTaskId = TasksModule.getEditingTaskId();
+
+    DomModule.hideRepeatError();
+    DomModule.hideChecklistError();
+    DomModule.hideTagError();
+    DomModule.hideDependencyError();
+    DomModule.hideEstimateError();
+    const error = getTaskInputError(values, editingTaskId);
+    if (error) {
+      formErrorHandlers[error]();
+      return;
+    }
+
+    // Create or update task (one deleted in another tab meanwhile is added again)
+    const details = {
+      repeat: taskRepeat,
+      checklist: taskChecklist,
+      autoCompleteChecklist: taskAutoComplete,
+      reminders: taskReminders,
+      tags: [...taskTags, ...taskPendingTags],
+      dependsOn: taskDependsOn,
+      estimateMinutes: taskEstimate ? Number(taskEstimate) : null,
+      listId: taskListId,
+    };
+    if (editingTaskId && isEditableTask(editingTaskId)) {
+      TasksModule.updateTask(
+        editingTaskId,
+        taskName,
+        taskCategory,
+        taskPriority,
+        taskDueDate,
+        taskDesc,
+        details
+      );
+    } else {
+      TasksModule.addTask(
+        taskName,
+        taskCategory,
+        taskPriority,
+        taskDueDate,
+        taskDesc,
+        details
+      );
+    }
+
+    // Reset form and return to task list view
+    DomModule.resetForm();
+    DomModule.showTaskListView();
+    DomModule.displayTasks();
+    DomModule.updateCategoryFilter();
+    resetEditState();
+  }
+
+  /**
+   * Updates the quick-add preview as the user types.
+   */
+  function handleQuickAddInput() {
+    DomModule.hideQuickAddError();
+    DomModule.renderQuickAddPreview(
+      TasksModule.parseQuickAdd(DomModule.quickAddInput.value)
+    );
+  }
+
+  /**
+   * Adds the task typed in the quick-add bar after the same checks as the form.
+   */
+  function handleQuickAddSubmit(e) {
+    e.preventDefault();
+
+    const parsed = TasksModule.parseQuickAdd(DomModule.quickAddInput.value);
+    const error =
+      getTaskInputError(
+        {
+          taskName: parsed.name,
+          taskListId: TasksModule.getActiveListId(),
+          taskDueDate: parsed.dueDate,
+          taskDesc: "",
+          taskRepeat: null,
+          taskChecklist: [],
+          taskPendingTags: parsed.tags,
+          taskDependsOn: [],
+          taskEstimate: "",
+        },
+        null
+      ) ||
+      (!parsed.category && "category") ||
+      (!parsed.dueDate && "dueDate");
+    if (error) {
+      DomModule.showQuickAddError(quickAddErrorMessages[error]);
+      return;
+    }
+
+    TasksModule.addTask(
+      parsed.name,
+      parsed.category,
+      parsed.priority,
+      parsed.dueDate,
+      "",
+      { tags: parsed.tags }
+    );
+    DomModule.resetQuickAdd();
+    DomModule.displayTasks();
+    DomModule.updateCategoryFilter();
+  }
+
+  /**
+   * Handles the reorder/remove buttons of checklist editor rows.
+   */
+  function handleChecklistClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (button) {
+      DomModule.applyChecklistRowAction(
+        button.closest(".checklist-row"),
+        button.getAttribute("data-action")
+      );
+    }
+  }
+
+  /**
+   * Handles the remove buttons of tag editor badges.
+   */
+  function handleTagEditorClick(e) {
+    const button = e.target.closest("[data-action='remove']");
+    if (button) {
+      DomModule.removeEditorTag(
+        button.closest("[data-tag]").getAttribute("data-tag")
+      );
+    }
+  }
+
+  /**
+   * Adds the typed tags on Enter or comma instead of submitting the form.
+   */
+  function handleTagInputKeydown(e) {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      DomModule.addTagsFromInput();
+    }
+  }
+
+  /**
+   * Adds a checklist item on Enter instead of submitting the form.
+   */
+  function handleChecklistNewItemKeydown(e) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      DomModule.addChecklistItemFromInput();
+    }
+  }
+
+  /**
+   * Loads a task's data into the form for editing.
+   */
+  function editTask(taskId) {
+    const taskToEdit = TasksModule.getTaskById(taskId);
+    if (!taskToEdit) {
+      return;
+    }
+
+    TasksModule.setEditingTaskId(taskId);
+    DomModule.setSubmitButtonText("Save Changes");
+    DomModule.showTaskFormView();
+    DomModule.updateCategorySelect();
+    DomModule.populateFormWithTask(taskToEdit);
+  }
+
+  /**
+   * Moves a task to the trash and refreshes the display, offering to undo it.
+   */
+  function deleteTask(taskId) {
+    TasksModule.removeTask(taskId);
+    DomModule.displayTasks();
+    DomModule.renderTrashView();
+    DomModule.showToast("Task moved to the trash", "Undo", undoLastChange);
+  }
+
+  /**
+   * Reverts the last change and refreshes the display.
+   */
+  function undoLastChange() {
+    if (TasksModule.undo()) {
+      refreshAfterHistoryChange();
+    }
+  }
+
+  /**
+   * Re-applies the last undone change and refreshes the display.
+   */
+  function redoLastChange() {
+    if (TasksModule.redo()) {
+      refreshAfterHistoryChange();
+    }
+  }
+
+  /**
+   * Re-renders after undo/redo; leaves the form if its task was undone away.
+   */
+  function refreshAfterHistoryChange() {
+    const editingTaskId = TasksModule.getEditingTaskId();
+    if (editingTaskId && !isEditableTask(editingTaskId)) {
+      handleCancelClick();
+    }
+    refreshLists();
+    refreshCategories();
+    DomModule.renderArchiveView();
+    DomModule.renderTrashView();
+  }
+
+  /**
+   * Checks whether a task exists and is in the task list (not archived
+   * or in the trash), so the form can save over it.
+   */
+  function isEditableTask(taskId) {
+    const task = TasksModule.getTaskById(taskId);
+    return Boolean(task) && TasksModule.isTaskLive(task);
+  }
+
+  /**
+   * Re-renders everything that shows categories after they change.
+   */
+  function refreshCategories(selectedCategory) {
+    DomModule.updateCategorySelect(selectedCategory);
+    DomModule.updateCategoryFilter();
+    DomModule.renderCategoryManager();
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Explains why a category name cannot be used, or returns null if it can.
+   */
+  function getCategoryNameError(name, excludeName = null) {
+    if (!name) {
+      return "Category name is required";
+    }
+    if (!TasksModule.validateCategoryName(name)) {
+      return "Category name can only contain letters, numbers, and spaces";
+    }
+    if (TasksModule.isCategoryNameDuplicate(name, excludeName)) {
+      return "Category already exists";
+    }
+    return null;
+  }
+
+  /**
+   * Adds a category from the task form and selects it.
+   */
+  function handleNewCategoryClick() {
+    const name = DomModule.newCategoryInput.value.trim();
+    const error = getCategoryNameError(name);
+    if (error) {
+      DomModule.showNewCategoryError(error);
+      return;
+    }
+
+    DomModule.hideNewCategoryError();
+    const category = TasksModule.addCategory(name);
+    DomModule.newCategoryInput.value = "";
+    refreshCategories(category.name);
+  }
+
+  /**
+   * Adds a category from the category manager.
+   */
+  function handleCategoryAddClick() {
+    const values = DomModule.getCategoryAddValues();
+    const error = getCategoryNameError(values.name);
+    if (error) {
+      DomModule.showCategoryError(error);
+      return;
+    }
+
+    DomModule.hideCategoryError();
+    TasksModule.addCategory(values.name, values.color, values.icon);
+    DomModule.resetCategoryAddFields();
+    refreshCategories();
+  }
+
+  /**
+   * Saves or deletes a category from its row in the category manager.
+   */
+  function handleCategoryTableClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) {
+      return;
+    }
+    const row = button.closest("[data-category-name]");
+    const name = row.getAttribute("data-category-name");
+    DomModule.hideCategoryError();
+
+    if (button.getAttribute("data-action") === "save") {
+      const values = DomModule.getCategoryRowValues(row);
+      const error = getCategoryNameError(values.name, name);
+      if (error) {
+        DomModule.showCategoryError(error);
+        return;
+      }
+      TasksModule.updateCategory(name, values);
+      refreshCategories();
+      return;
+    }
+
+    const taskCount = TasksModule.countTasksInCategory(name);
+    if (taskCount > 0) {
+      DomModule.showCategoryDeletePanel(name, taskCount);
+      return;
+    }
+    TasksModule.deleteCategory(name);
+    refreshCategories();
+    DomModule.showToast("Category deleted", "Undo", undoLastChange);
+  }
+
+  /**
+   * Deletes a category after choosing what happens to its tasks.
+   */
+  function handleConfirmCategoryDelete() {
+    const choice = DomModule.getCategoryDeleteChoice();
+    DomModule.hideCategoryDeletePanel();
+    TasksModule.deleteCategory(choice.name, choice.reassignTo);
+    refreshCategories();
+    DomModule.showToast("Category deleted", "Undo", undoLastChange);
+  }
+
+  /**
+   * Re-renders everything that shows lists after they change, including
+   * the filters and sort order in case another list is now shown.
+   */
+  function refreshLists() {
+    DomModule.updateListSelects();
+    DomModule.renderListManager();
+    showActiveListFilter();
+    DomModule.updateSortControls();
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Shows another list with its own filters and sort order.
+   */
+  function handleListSwitcherChange() {
+    TasksModule.switchList(Number(DomModule.listSwitcher.value));
+    lastSelectedTaskId = null;
+    refreshLists();
+  }
+
+  /**
+   * Explains why a list name cannot be used, or returns null if it can.
+   */
+  function getListNameError(name, excludeListId = null) {
+    if (!name) {
+      return "List name is required";
+    }
+    if (!TasksModule.validateListName(name)) {
+      return "List name can only contain letters, numbers, and spaces";
+    }
+    if (TasksModule.isListNameDuplicate(name, excludeListId)) {
+      return "List already exists";
+    }
+    return null;
+  }
+
+  /**
+   * Adds a list from the list manager.
+   */
+  function handleListAddClick() {
+    const name = DomModule.getListAddName();
+    const error = getListNameError(name);
+    if (error) {
+      DomModule.showListError(error);
+      return;
+    }
+
+    DomModule.hideListError();
+    TasksModule.addList(name);
+    DomModule.resetListAddName();
+    refreshLists();
+  }
+
+  /**
+   * Describes tasks that cannot move to a list because of their names.
+   */
+  function getMoveConflictMessage(conflicts, listId) {
+    const names = conflicts.map((task) => `"${task.name}"`).join(", ");
+    return `${names} already ${
+      conflicts.length === 1 ? "exists" : "exist"
+    } in "${TasksModule.getList(listId).name}"`;
+  }
+
+  /**
+   * Saves, archives or deletes a list from its row in the list manager.
+   */
+  function handleListTableClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) {
+      return;
+    }
+    const row = button.closest("[data-list-id]");
+    const listId = Number(row.getAttribute("data-list-id"));
+    const list = TasksModule.getList(listId);
+    const action = button.getAttribute("data-action");
+    DomModule.hideListError();
+    DomModule.hideListDeletePanel();
+
+    if (action === "save") {
+      const name = DomModule.getListRowName(row);
+      const error = getListNameError(name, listId);
+      if (error) {
+        DomModule.showListError(error);
+        return;
+      }
+      TasksModule.renameList(listId, name);
+      refreshLists();
+      return;
+    }
+
+    if (action === "archive") {
+      if (!TasksModule.setListArchived(listId, !list.archived)) {
+        DomModule.showListError("At least one list must stay open");
+        return;
+      }
+      refreshLists();
+      return;
+    }
+
+    const taskCount = TasksModule.getTaskIdsInList(listId).length;
+    if (!list.archived && TasksModule.getLists(false).length === 1) {
+      DomModule.showListError("At least one list must stay open");
+      return;
+    }
+    if (taskCount > 0) {
+      DomModule.showListDeletePanel(listId, taskCount);
+      return;
+    }
+    TasksModule.deleteList(listId);
+    refreshLists();
+    DomModule.showToast("List deleted", "Undo", undoLastChange);
+  }
+
+  /**
+   * Deletes a list after choosing what happens to its tasks. Moving is
+   * refused when a task's name is already used in the chosen list.
+   */
+  function handleConfirmListDelete() {
+    const { listId, moveTo } = DomModule.getListDeleteChoice();
+    if (moveTo !== null) {
+      const conflicts = TasksModule.getMoveConflicts(
+        TasksModule.getTaskIdsInList(listId),
+        moveTo
+      );
+      if (conflicts.length > 0) {
+        DomModule.showListError(
+          `Cannot move the tasks: ${getMoveConflictMessage(conflicts, moveTo)}`
+        );
+        return;
+      }
+    }
+
+    DomModule.hideListDeletePanel();
+    TasksModule.deleteList(listId, moveTo);
+    refreshLists();
+    DomModule.showToast("List deleted", "Undo", undoLastChange);
+  }
+
+  /**
+   * Checks whether an element takes typed text, so shortcuts leave it alone.
+   */
+  function isTextField(target) {
+    return (
+      target.tagName === "INPUT" ||
+      target.tagName === "TEXTAREA" ||
+      target.tagName === "SELECT" ||
+      target.isContentEditable
+    );
+  }
+
+  /**
+   * Handles Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) outside of text fields.
+   */
+  function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undoLastChange();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redoLastChange();
+    }
+  }
+
+  /**
+   * Moves the keyboard focus to the next (1) or previous (-1) shown task.
+   */
+  function moveTaskFocus(step) {
+    const taskIds = DomModule.getNavigableTaskIds();
+    if (taskIds.length === 0) {
+      return;
+    }
+    const currentIndex = taskIds.indexOf(TasksModule.getFocusedTaskId());
+    const nextIndex =
+      currentIndex === -1
+        ? step > 0
+          ? 0
+          : taskIds.length - 1
+        : Math.min(taskIds.length - 1, Math.max(0, currentIndex + step));
+    TasksModule.setFocusedTaskId(taskIds[nextIndex]);
+    DomModule.highlightFocusedTask();
+  }
+
+  /**
+   * Gets the focused task's ID if that task is currently shown.
+   */
+  function getShownFocusedTaskId() {
+    const focusedTaskId = TasksModule.getFocusedTaskId();
+    return DomModule.getNavigableTaskIds().includes(focusedTaskId)
+      ? focusedTaskId
+      : null;
+  }
+
+  /**
+   * Deletes the focused task and moves the focus to its neighbor.
+   */
+  function deleteFocusedTask(taskId) {
+    const taskIds = DomModule.getNavigableTaskIds();
+    const index = taskIds.indexOf(taskId);
+    TasksModule.setFocusedTaskId(
+      taskIds[index + 1] || taskIds[index - 1] || null
+    );
+    deleteTask(taskId);
+  }
+
+  /**
+   * Focuses the search box, showing the task list first if needed.
+   */
+  function focusSearch() {
+    DomModule.showTaskListView();
+    DomModule.searchInput.focus();
+  }
+
+  /**
+   * Handles the single-key shortcuts of the task list, "?" for help and
+   * Ctrl+K (Cmd+K on macOS) for the command palette.
+   */
+  function handleKeyboardShortcut(e) {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      openCommandPalette();
+      return;
+    }
+    if (DomModule.isCommandPaletteOpen()) {
+      return;
+    }
+    if (e.key === "Escape" && DomModule.isShortcutHelpOpen()) {
+      DomModule.toggleShortcutHelp(false);
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) {
+      return;
+    }
+    if (e.key === "?") {
+      DomModule.toggleShortcutHelp(!DomModule.isShortcutHelpOpen());
+      return;
+    }
+    if (!DomModule.isTaskListViewVisible() || DomModule.isShortcutHelpOpen()) {
+      return;
+    }
+
+    const focusedTaskId = getShownFocusedTaskId();
+    const actions = {
+      j: () => moveTaskFocus(1),
+      k: () => moveTaskFocus(-1),
+      n: handleAddTaskClick,
+      "/": focusSearch,
+      e: focusedTaskId && (() => editTask(focusedTaskId)),
+      x: focusedTaskId && (() => toggleTaskCompleted(focusedTaskId)),
+      Delete: focusedTaskId && (() => deleteFocusedTask(focusedTaskId)),
+    };
+    const action = actions[e.key];
+    if (action) {
+      e.preventDefault();
+      action();
+    }
+  }
+
+  /**
+   * Lists the palette's commands, then one "Switch" entry per open list
+   * and one "Edit" entry per task.
+   */
+  function getPaletteCommands() {
+    const showDisplayMode = (mode) => () => {
+      TasksModule.setDisplayMode(mode);
+      DomModule.showTaskListView();
+      DomModule.displayTasks();
+    };
+    const commands = [
+      { label: "Add task", shortcut: "n", run: handleAddTaskClick },
+      { label: "Search tasks", shortcut: "/", run: focusSearch },
+      { label: "Show list", run: showDisplayMode("list") },
+      { label: "Show board", run: showDisplayMode("board") },
+      { label: "Show calendar", run: showDisplayMode("calendar") },
+      { label: "Clear filters", run: handleClearFilters },
+      { label: "Undo", shortcut: "Ctrl+Z", run: undoLastChange },
+      { label: "Redo", shortcut: "Ctrl+Shift+Z", run: redoLastChange },
+      {
+        label: "Manage categories",
+        run: DomModule.showCategoryManagerView,
+      },
+      { label: "Manage lists", run: DomModule.showListManagerView },
+      { label: "Time report", run: DomModule.showTimeReportView },
+      { label: "Dashboard", run: DomModule.showDashboardView },
+      { label: "Archive", run: DomModule.showArchiveView },
+      { label: "Trash", run: DomModule.showTrashView },
+      { label: "Sync now", run: runSync },
+      { label: "Sync settings", run: DomModule.showSyncView },
+      {
+        label: "Keyboard shortcuts",
+        shortcut: "?",
+        run: () => DomModule.toggleShortcutHelp(true),
+      },
+    ];
+    const listCommands = TasksModule.getLists(false).map((list) => ({
+      label: `Switch to list: ${list.name}`,
+      run: () => {
+        DomModule.listSwitcher.value = list.id;
+        handleListSwitcherChange();
+        DomModule.showTaskListView();
+      },
+    }));
+    const taskCommands = TasksModule.getAllTasks().map((task) => ({
+      label: `Edit task: ${task.name}`,
+      run: () => editTask(task.id),
+    }));
+    return [...commands, ...listCommands, ...taskCommands];
+  }
+
+  /**
+   * Opens the command palette listing every command.
+   */
+  function openCommandPalette() {
+    DomModule.toggleShortcutHelp(false);
+    DomModule.showCommandPalette();
+    handleCommandPaletteInput();
+  }
+
+  /**
+   * Narrows the palette to the entries containing every typed word.
+   */
+  function handleCommandPaletteInput() {
+    const words = DomModule.commandPaletteInput.value
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean);
+    paletteEntries = getPaletteCommands().filter((command) =>
+      words.every((word) => command.label.toLowerCase().includes(word))
+    );
+    paletteIndex = 0;
+    DomModule.renderCommandPalette(paletteEntries, paletteIndex);
+  }
+
+  /**
+   * Closes the palette and runs one of its entries.
    */
-  function displayTasks() {
-    const taskListContainer = document.getElementById("taskList");
-    taskListContainer.innerHTML = "";
+  function runPaletteEntry(index) {
+    const entry = paletteEntries[index];
+    DomModule.hideCommandPalette();
+    if (entry) {
+      entry.run();
+    }
+  }
+
+  /**
+   * Moves through the palette with the arrow keys, runs the highlighted
+   * entry on Enter and closes on Escape.
+   */
+  function handleCommandPaletteKeydown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      paletteIndex = Math.min(
+        paletteEntries.length - 1,
+        Math.max(0, paletteIndex + step)
+      );
+      DomModule.renderCommandPalette(paletteEntries, paletteIndex);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runPaletteEntry(paletteIndex);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      DomModule.hideCommandPalette();
+    }
+  }
+
+  /**
+   * Runs a clicked palette entry; clicking the backdrop closes the palette.
+   */
+  function handleCommandPaletteClick(e) {
+    const item = e.target.closest("[data-command-index]");
+    if (item) {
+      runPaletteEntry(Number(item.getAttribute("data-command-index")));
+    } else if (e.target === DomModule.commandPalette) {
+      DomModule.hideCommandPalette();
+    }
+  }
+
+  /**
+   * Closes the shortcut overlay when its backdrop is clicked.
+   */
+  function handleShortcutHelpClick(e) {
+    if (e.target === DomModule.shortcutHelp) {
+      DomModule.toggleShortcutHelp(false);
+    }
+  }
+
+  /**
+   * Marks a task as done (or not done) and refreshes the display.
+   */
+  function toggleTaskCompleted(taskId) {
+    TasksModule.toggleTaskCompleted(taskId);
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Runs a task's row, card or calendar entry action (edit, delete,
+   * complete or timer) from its data-action attribute.
+   */
+  function handleTaskActionClick(e) {
+    const control = e.target.closest("[data-action]");
+    const taskElement = control && control.closest("[data-task-id]");
+    if (!taskElement) {
+      return;
+    }
+    const taskId = Number(taskElement.getAttribute("data-task-id"));
+    const action = control.getAttribute("data-action");
+
+    if (action === "edit") {
+      editTask(taskId);
+    } else if (action === "delete") {
+      deleteTask(taskId);
+    } else if (action === "toggle-completed") {
+      toggleTaskCompleted(taskId);
+    } else if (action === "toggle-timer") {
+      toggleTimer(taskId);
+    }
+  }
+
+  /**
+   * Selects or deselects a task from its row checkbox. Shift+click applies
+   * the same state to every listed task between it and the previous click.
+   */
+  function handleTaskListClick(e) {
+    const checkbox = e.target.closest(".task-select");
+    if (!checkbox) {
+      return;
+    }
+    const taskId = Number(
+      checkbox.closest(".task-item").getAttribute("data-task-id")
+    );
+    let taskIds = [taskId];
+
+    if (e.shiftKey && lastSelectedTaskId !== null) {
+      const listedIds = DomModule.getListedTaskIds();
+      const from = listedIds.indexOf(lastSelectedTaskId);
+      const to = listedIds.indexOf(taskId);
+      if (from !== -1 && to !== -1) {
+        taskIds = listedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    }
+
+    TasksModule.setTasksSelected(taskIds, checkbox.checked);
+    lastSelectedTaskId = taskId;
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Selects every task matching the filters, or clears the selection.
+   */
+  function handleSelectAllChange() {
+    if (DomModule.selectAllTasks.checked) {
+      TasksModule.selectAllFiltered();
+    } else {
+      TasksModule.clearSelection();
+    }
+    lastSelectedTaskId = null;
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Runs a batch action on the selected tasks as one undoable change.
+   */
+  function handleBulkActionClick(e) {
+    const button = e.target.closest("[data-bulk-action]");
+    const taskIds = TasksModule.getSelectedTaskIds();
+    if (!button || taskIds.length === 0) {
+      return;
+    }
+
+    const values = DomModule.getBulkActionValues();
+    const action = button.getAttribute("data-bulk-action");
+    if (action === "shift") {
+      const isValid =
+        Number.isInteger(values.shiftDays) && values.shiftDays !== 0;
+      DomModule.setBulkShiftDaysInvalid(!isValid);
+      if (!isValid) {
+        return;
+      }
+    }
+
+    if (action === "delete") {
+      TasksModule.deleteTasks(taskIds);
+    } else if (action === "complete") {
+      TasksModule.completeTasks(taskIds);
+    } else if (action === "category") {
+      TasksModule.setTasksCategory(taskIds, values.category);
+    } else if (action === "priority") {
+      TasksModule.setTasksPriority(taskIds, values.priority);
+    } else if (action === "shift") {
+      rescheduleSelectedTasks(taskIds, values.shiftDays);
+      return;
+    } else if (action === "list") {
+      moveSelectedTasksToList(taskIds, values.listId);
+      return;
+    }
+
+    DomModule.updateCategoryFilter();
+    DomModule.displayTasks();
+    const verbs = {
+      delete: "moved to the trash",
+      complete: "completed",
+      category: "moved",
+      priority: "updated",
+    };
+    DomModule.showToast(
+      `${taskIds.length} ${taskIds.length === 1 ? "task" : "tasks"} ${
+        verbs[action]
+      }`,
+      "Undo",
+      undoLastChange
+    );
+  }
+
+  /**
+   * Moves the due dates of the selected tasks. Tasks without a due date
+   * stay as they are and are counted in the message.
+   */
+  function rescheduleSelectedTasks(taskIds, days) {
+    const skippedCount = TasksModule.shiftTasksDueDate(taskIds, days);
+    const movedCount = taskIds.length - skippedCount;
+    DomModule.displayTasks();
+
+    const movedMessage = `${movedCount} ${
+      movedCount === 1 ? "task" : "tasks"
+    } rescheduled`;
+    const skippedMessage =
+      skippedCount > 0 ? `; skipped ${skippedCount} without a due date` : "";
+    if (movedCount > 0) {
+      DomModule.showToast(
+        movedMessage + skippedMessage,
+        "Undo",
+        undoLastChange
+      );
+    } else {
+      DomModule.showToast(`Nothing rescheduled${skippedMessage}`);
+    }
+  }
+
+  /**
+   * Moves the selected tasks to another list. Tasks whose name is already
+   * used there stay behind and are named in the message.
+   */
+  function moveSelectedTasksToList(taskIds, listId) {
+    if (!TasksModule.getList(listId)) {
+      return;
+    }
+    const skipped = TasksModule.moveTasksToList(taskIds, listId);
+    const movedCount = taskIds.length - skipped.length;
+    DomModule.displayTasks();
+
+    const movedMessage = `${movedCount} ${
+      movedCount === 1 ? "task" : "tasks"
+    } moved to "${TasksModule.getList(listId).name}"`;
+    const skippedMessage =
+      skipped.length > 0
+        ? `; skipped ${getMoveConflictMessage(skipped, listId)}`
+        : "";
+    if (movedCount > 0) {
+      DomModule.showToast(
+        movedMessage + skippedMessage,
+        "Undo",
+        undoLastChange
+      );
+    } else {
+      DomModule.showToast(`Nothing moved${skippedMessage}`);
+    }
+  }
+
+  /**
+   * Starts the timer on a task (stopping any other), or stops it if running.
+   */
+  function toggleTimer(taskId) {
+    const activeTimer = TasksModule.getActiveTimer();
+    if (activeTimer && activeTimer.taskId === taskId) {
+      TasksModule.stopTimer();
+    } else {
+      TasksModule.startTimer(taskId);
+    }
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Updates the list filter, mirrors it in the URL and re-renders.
+   */
+  function applyFilterChange(changes) {
+    TasksModule.setFilter(changes);
+    showActiveListFilter();
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Mirrors the active list's filter in the URL and the filter controls.
+   */
+  function showActiveListFilter() {
+    const filter = TasksModule.getFilter();
+    const query = TasksModule.filterToSearchParams(filter).toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}${
+      window.location.hash
+    }`;
+    window.history.replaceState(null, "", url);
 
-    const selectedCategory = categoryFilter.value;
-    console.log("selectedCategory:", selectedCategory);
-    const filteredTasks = TasksModule.getFilteredTasks(selectedCategory);
+    DomModule.syncFilterControls(filter);
+  }
 
-    filteredTasks.forEach((task) => {
-      const taskElement = createTaskElement(task);
-      taskListContainer.appendChild(taskElement);
+  /**
+   * Adds a value to a filter list, or removes it if already present.
+   */
+  function toggleFilterValue(listName, value) {
+    const values = TasksModule.getFilter()[listName];
+    applyFilterChange({
+      [listName]: values.includes(value)
+        ? values.filter((item) => item !== value)
+        : [...values, value],
     });
+  }
 
-    refreshTaskStatuses();
+  /**
+   * Handles clicks on category chips.
+   */
+  function handleCategoryChipClick(e) {
+    const chip = e.target.closest("[data-category]");
+    if (chip) {
+      toggleFilterValue("categories", chip.getAttribute("data-category"));
+    }
   }
 
   /**
-   * Updates the status display for all visible tasks.
+   * Handles clicks on priority chips.
    */
-  function refreshTaskStatuses() {
-    const taskItems = document.querySelectorAll("#taskList .task-item");
-    console.log("Refreshing task statuses for", taskItems.length, "tasks.");
+  function handlePriorityChipClick(e) {
+    const chip = e.target.closest("[data-priority]");
+    if (chip) {
+      toggleFilterValue("priorities", chip.getAttribute("data-priority"));
+    }
+  }
 
-    taskItems.forEach((taskItem) => {
-      const taskId = Number(taskItem.getAttribute("data-task-id"));
-      const taskData = TasksModule.getTaskById(taskId);
-      if (!taskData) {
+  /**
+   * Handles clicks on tag chips.
+   */
+  function handleTagChipClick(e) {
+    const chip = e.target.closest("[data-tag]");
+    if (chip) {
+      toggleFilterValue("tags", chip.getAttribute("data-tag"));
+    }
+  }
+
+  /**
+   * Clears all filters.
+   */
+  function handleClearFilters() {
+    TasksModule.resetFilter();
+    applyFilterChange({});
+  }
+
+  /**
+   * Gets the tasks to export: all tasks, or only those matching the filters.
+   */
+  function getTasksForExport() {
+    return DomModule.exportFilteredOnly.checked
+      ? TasksModule.getFilteredTasks()
+      : TasksModule.getAllTasks();
+  }
+
+  /**
+   * Downloads the tasks as a JSON file.
+   */
+  function handleExportJson() {
+    DomModule.downloadFile(
+      "tasks.json",
+      TransferModule.exportToJson(getTasksForExport()),
+      "application/json"
+    );
+  }
+
+  /**
+   * Downloads the tasks as a CSV file.
+   */
+  function handleExportCsv() {
+    DomModule.downloadFile(
+      "tasks.csv",
+      TransferModule.exportToCsv(getTasksForExport()),
+      "text/csv"
+    );
+  }
+
+  /**
+   * Downloads the tasks as an iCalendar file of events or to-dos.
+   */
+  function handleExportIcs(componentType) {
+    DomModule.downloadFile(
+      componentType === "VTODO" ? "tasks-todos.ics" : "tasks-events.ics",
+      TransferModule.exportToIcs(getTasksForExport(), componentType),
+      "text/calendar"
+    );
+  }
+
+  /**
+   * Reads the chosen import file and shows the preview.
+   */
+  async function handleImportFileChange() {
+    const file = DomModule.importFileInput.files[0];
+    DomModule.importFileInput.value = "";
+    if (!file) {
+      return;
+    }
+
+    DomModule.showTaskImportView();
+    try {
+      const records = TransferModule.parseFile(file.name, await file.text());
+      pendingImport = TransferModule.buildImportPreview(records);
+      DomModule.renderImportPreview(pendingImport);
+    } catch (error) {
+      pendingImport = null;
+      DomModule.showImportError(
+        `Could not read ${file.name}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Applies the previewed import and returns to the task list.
+   */
+  function handleConfirmImport() {
+    if (pendingImport) {
+      const result = TransferModule.applyImport(pendingImport);
+      if (result.skipped > 0) {
+        DomModule.showToast(
+          `${result.skipped} row(s) skipped: they no longer pass the checks shown in the preview`
+        );
+      }
+    }
+    pendingImport = null;
+    DomModule.showTaskListView();
+    DomModule.updateCategoryFilter();
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Discards the previewed import.
+   */
+  function handleCancelImport() {
+    pendingImport = null;
+    DomModule.showTaskListView();
+  }
+
+  /**
+   * Switches between the list and board display.
+   */
+  function handleDisplayModeClick(e) {
+    const button = e.target.closest("[data-display-mode]");
+    if (button) {
+      TasksModule.setDisplayMode(button.getAttribute("data-display-mode"));
+      DomModule.displayTasks();
+    }
+  }
+
+  /**
+   * Changes what board columns are grouped by.
+   */
+  function handleBoardGroupByChange() {
+    TasksModule.setBoardGroupBy(DomModule.boardGroupBy.value);
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Handles the calendar's month/week toggle and previous/today/next buttons.
+   */
+  function handleCalendarControlsClick(e) {
+    const modeButton = e.target.closest("[data-calendar-mode]");
+    const shiftButton = e.target.closest("[data-calendar-shift]");
+    if (modeButton) {
+      TasksModule.setCalendarMode(
+        modeButton.getAttribute("data-calendar-mode")
+      );
+    } else if (shiftButton) {
+      TasksModule.shiftCalendar(
+        Number(shiftButton.getAttribute("data-calendar-shift"))
+      );
+    } else {
+      return;
+    }
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Starts dragging a board card or calendar entry.
+   */
+  function handleTaskDragStart(e) {
+    const item = e.target.closest("[draggable='true'][data-task-id]");
+    if (item) {
+      e.dataTransfer.setData("text/plain", item.getAttribute("data-task-id"));
+      e.dataTransfer.effectAllowed = "move";
+    }
+  }
+
+  /**
+   * Allows dropping on board columns and calendar days and highlights the target.
+   */
+  function handleTaskDragOver(e) {
+    const target = e.target.closest(".board-column, .calendar-day");
+    if (target) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+    }
+    DomModule.setDropTarget(target);
+  }
+
+  /**
+   * Clears the drop highlight when a drag leaves a container.
+   */
+  function handleTaskDragLeave(e) {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      DomModule.setDropTarget(null);
+    }
+  }
+
+  /**
+   * Moves a dropped calendar entry to its new day.
+   */
+  function handleCalendarDrop(e) {
+    const day = e.target.closest(".calendar-day");
+    DomModule.setDropTarget(null);
+    if (!day) {
+      return;
+    }
+    e.preventDefault();
+
+    const taskId = Number(e.dataTransfer.getData("text/plain"));
+    TasksModule.rescheduleTask(taskId, day.getAttribute("data-date"));
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Moves a dropped card into its new column.
+   */
+  function handleBoardDrop(e) {
+    const column = e.target.closest(".board-column");
+    DomModule.setDropTarget(null);
+    if (!column) {
+      return;
+    }
+    e.preventDefault();
+
+    const taskId = Number(e.dataTransfer.getData("text/plain"));
+    TasksModule.moveTaskToColumn(
+      taskId,
+      column.getAttribute("data-column-value")
+    );
+    DomModule.updateCategoryFilter();
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Applies the sort controls and refreshes the display.
+   */
+  function handleSortChange() {
+    TasksModule.setSortKeys(DomModule.getSortControlValues());
+    DomModule.updateSortControls();
+    DomModule.displayTasks();
+  }
+
+  /**
+   * Flips a sort direction button and applies it.
+   */
+  function handleSortDirectionClick(e) {
+    const button = e.currentTarget;
+    const direction = button.getAttribute("data-direction");
+    button.setAttribute("data-direction", direction === "asc" ? "desc" : "asc");
+    handleSortChange();
+  }
+
+  /**
+   * Describes why a task cannot go back to its list.
+   */
+  function getNameTakenMessage(taskId) {
+    const task = TasksModule.getTaskById(taskId);
+    return `A task named "${task.name}" is already in "${
+      TasksModule.getList(TasksModule.getTaskListId(task)).name
+    }"`;
+  }
+
+  /**
+   * Reopens or deletes a task from its row in the archive.
+   */
+  function handleArchiveListClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) {
+      return;
+    }
+    const taskId = Number(
+      button.closest("[data-task-id]").getAttribute("data-task-id")
+    );
+
+    if (button.getAttribute("data-action") === "reopen") {
+      if (!TasksModule.reopenArchivedTask(taskId)) {
+        DomModule.showToast(getNameTakenMessage(taskId));
         return;
       }
+      DomModule.showToast("Task reopened", "Undo", undoLastChange);
+    } else {
+      TasksModule.removeTask(taskId);
+      DomModule.showToast("Task moved to the trash", "Undo", undoLastChange);
+    }
+    DomModule.renderArchiveView();
+    DomModule.renderTrashView();
+    DomModule.displayTasks();
+  }
 
-      const isOverdue = TasksModule.isTaskOverdue(taskData.dueDate);
-      const statusText = isOverdue
-        ? "Overdue"
-        : TasksModule.getTimeRemaining(new Date(taskData.dueDate));
+  /**
+   * Restores or permanently deletes a task from its row in the trash.
+   */
+  function handleTrashListClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) {
+      return;
+    }
+    const taskId = Number(
+      button.closest("[data-task-id]").getAttribute("data-task-id")
+    );
 
-      const statusElement = taskItem.querySelector(".task-status");
-      if (statusElement) {
-        statusElement.textContent = statusText;
-        statusElement.classList.toggle("text-danger", isOverdue);
-        statusElement.classList.toggle("text-success", !isOverdue);
+    if (button.getAttribute("data-action") === "restore") {
+      if (!TasksModule.restoreTask(taskId)) {
+        DomModule.showToast(getNameTakenMessage(taskId));
+        return;
       }
-      taskItem.classList.toggle("overdue-task", isOverdue);
-    });
+      DomModule.showToast("Task restored", "Undo", undoLastChange);
+    } else {
+      TasksModule.purgeTask(taskId);
+      DomModule.showToast("Task deleted for good", "Undo", undoLastChange);
+    }
+    DomModule.renderTrashView();
+    DomModule.renderArchiveView();
+    DomModule.updateCategoryFilter();
+    DomModule.displayTasks();
   }
 
   /**
-   * Gets form values.
+   * Permanently deletes everything in the trash, offering to undo it.
    */
-  function getFormValues() {
-    return {
-      taskName: taskNameInput.value.trim(),
-      taskCategory: taskCategory.value,
-      taskPriority: document.querySelector('input[name="priority"]:checked')
-        .value,
-      taskDueDate: document.getElementById("taskDueDate").value,
-      taskDesc: taskDescriptionInput.value.trim(),
-    };
+  function handleEmptyTrash() {
+    TasksModule.emptyTrash();
+    DomModule.renderTrashView();
+    DomModule.showToast("Trash emptied", "Undo", undoLastChange);
   }
 
   /**
-   * Resets the form.
+   * Applies the archive setting, archiving any tasks that are now due.
    */
-  function resetForm() {
-    taskForm.reset();
+  function handleArchiveAfterDaysChange() {
+    const days = DomModule.getRetentionValues().archiveAfterDays;
+    const isValid = TasksModule.validateRetentionDays(days, 0);
+    DomModule.setArchiveAfterDaysInvalid(!isValid);
+    if (isValid) {
+      TasksModule.setArchiveAfterDays(days);
+      applyRetention();
+    }
   }
 
-  // Return public API
-  return {
-    addTaskBtn,
-    taskForm,
-    categoryFilter,
-    taskNameInput,
-    taskDescriptionInput,
-    sortByDueDateBtn,
-    cancelBtn,
-    showTaskFormView,
-    showTaskListView,
-    updateCategorySelect,
-    updateCategoryFilter,
-    hideTaskNameErrors,
-    showEmptyNameError,
-    showPatternNameError,
-    showDuplicateNameError,
-    showDescriptionError,
-    hideDescriptionError,
-    clearFormValidation,
-    setSubmitButtonText,
-    updateSortButtonText,
-    populateFormWithTask,
-    displayTasks,
-    refreshTaskStatuses,
-    getFormValues,
-    resetForm,
-  };
-})();
-
-/* ============================================================
-   UI MODULE
-   Manages user interactions and coordinates between modules
-   ============================================================ */
-
-const UiModule = (() => {
-  let countdownIntervalId = null;
-
   /**
-   * Resets the editing state to default (adding mode).
+   * Applies the trash setting, deleting tasks kept longer than it allows.
    */
-  function resetEditState() {
-    TasksModule.setEditingTaskId(null);
-    DomModule.setSubmitButtonText("Add Task");
+  function handleTrashRetentionDaysChange() {
+    const days = DomModule.getRetentionValues().trashRetentionDays;
+    const isValid = TasksModule.validateRetentionDays(days, 1);
+    DomModule.setTrashRetentionDaysInvalid(!isValid);
+    if (isValid) {
+      TasksModule.setTrashRetentionDays(days);
+      applyRetention();
+      DomModule.renderTrashView();
+    }
   }
 
   /**
-   * Handles the "Add Task" button click.
+   * Archives old completed tasks and deletes expired trash for good,
+   * refreshing the views when anything moved.
    */
-  function handleAddTaskClick() {
-    DomModule.showTaskFormView();
-    DomModule.updateCategorySelect();
-    resetEditState();
-    DomModule.resetForm();
+  function applyRetention() {
+    const archived = TasksModule.archiveCompletedTasks();
+    const purged = TasksModule.purgeExpiredTrash();
+    if (archived.length > 0 || purged.length > 0) {
+      DomModule.displayTasks();
+      DomModule.updateCategoryFilter();
+      DomModule.renderArchiveView();
+      DomModule.renderTrashView();
+    }
   }
 
   /**
-   * Handles the cancel button click.
+   * Creates next occurrences of recurring tasks that passed their due date.
    */
-  function handleCancelClick() {
-    DomModule.showTaskListView();
-    DomModule.resetForm();
-    DomModule.clearFormValidation();
-    resetEditState();
+  function refreshRecurringTasks() {
+    if (TasksModule.processRecurrences().length > 0) {
+      DomModule.displayTasks();
+    }
   }
 
   /**
-   * Validates task name on blur for immediate feedback.
+   * Delivers due reminders as system notifications when permitted,
+   * otherwise as in-page alerts.
    */
-  function handleTaskNameBlur() {
-    const taskName = DomModule.taskNameInput.value.trim();
-    DomModule.hideTaskNameErrors();
+  function checkReminders() {
+    TasksModule.collectDueReminders().forEach(({ task }) => {
+      const message = `"${task.name}" is due in ${TasksModule.getTimeRemaining(
+        new Date(task.dueDate)
+      )}`;
+      const showBanner = () =>
+        DomModule.showReminderBanner(task.id, message, () =>
+          TasksModule.snoozeReminder(task.id, REMINDER_SNOOZE_MINUTES)
+        );
 
-    if (taskName === "") {
-      // Empty - don't show error on initial blur
-    } else if (!TasksModule.validateTaskName(taskName)) {
-      DomModule.showPatternNameError();
-    } else if (
-      TasksModule.isTaskNameDuplicate(taskName, TasksModule.getEditingTaskId())
-    ) {
-      DomModule.showDuplicateNameError();
-    }
+      if (DomModule.canUseSystemNotifications()) {
+        DomModule.showSystemNotification(
+          "Task reminder",
+          message,
+          `task-${task.id}`,
+          showBanner
+        );
+      } else {
+        showBanner();
+      }
+    });
   }
 
   /**
-   * Validates description on blur for immediate feedback.
+   * Asks the browser for permission to show reminder notifications.
    */
-  function handleDescriptionBlur() {
-    const description = DomModule.taskDescriptionInput.value.trim();
+  async function handleEnableNotifications() {
+    await Notification.requestPermission();
+    DomModule.updateNotificationButton();
+  }
 
-    if (description && !TasksModule.validateDescription(description)) {
-      DomModule.showDescriptionError();
-    } else {
-      DomModule.hideDescriptionError();
+  /**
+   * Starts the countdown refresh interval.
+   */
+  function startCountdownRefresh() {
+    if (countdownIntervalId) {
+      clearInterval(countdownIntervalId);
     }
+
+    countdownIntervalId = setInterval(function () {
+      refreshRecurringTasks();
+      applyRetention();
+      checkReminders();
+      DomModule.refreshTaskStatuses();
+    }, 60000);
+
+    checkReminders();
+    DomModule.refreshTaskStatuses();
   }
 
   /**
-   * Handles form submission.
+   * Syncs with the server (when configured) and refreshes what it changed.
+   * New conflicts get a toast linking to the sync view.
    */
-  function handleFormSubmit(e) {
-    e.preventDefault();
+  async function runSync() {
+    const conflictCount = TasksModule.getSyncConflicts().length;
+    const syncing = TasksModule.syncTasks();
+    DomModule.updateSyncIndicator();
+    DomModule.renderSyncView();
 
-    const { taskName, taskCategory, taskPriority, taskDueDate, taskDesc } =
-      DomModule.getFormValues();
-    const editingTaskId = TasksModule.getEditingTaskId();
-
-    // Validate task name - check empty first
-    if (taskName === "") {
-      DomModule.showEmptyNameError();
-      return;
+    if (await syncing) {
+      DomModule.displayTasks();
+      DomModule.updateCategoryFilter();
+      DomModule.renderArchiveView();
+      DomModule.renderTrashView();
     }
+    DomModule.updateSyncIndicator();
+    DomModule.renderSyncView();
 
-    // Then check pattern
-    if (!TasksModule.validateTaskName(taskName)) {
-      DomModule.showPatternNameError();
-      return;
+    const newConflicts = TasksModule.getSyncConflicts().length - conflictCount;
+    if (newConflicts > 0) {
+      DomModule.showToast(
+        `${newConflicts} sync ${
+          newConflicts === 1 ? "conflict needs" : "conflicts need"
+        } your decision`,
+        "Review",
+        DomModule.showSyncView
+      );
     }
+  }
 
-    // Check for duplicate task name
-    if (TasksModule.isTaskNameDuplicate(taskName, editingTaskId)) {
-      DomModule.showDuplicateNameError();
+  /**
+   * Syncs now, periodically, and whenever the browser comes back online.
+   */
+  function startSyncRefresh() {
+    setInterval(runSync, SYNC_INTERVAL_MS);
+    window.addEventListener("online", runSync);
+    runSync();
+  }
+
+  /**
+   * Saves the sync server URL (empty turns sync off) and syncs with it.
+   */
+  function handleSaveSyncEndpoint() {
+    const url = DomModule.syncEndpointInput.value.trim();
+    if (!SyncModule.validateEndpoint(url)) {
+      DomModule.showSyncEndpointError();
       return;
     }
+    DomModule.hideSyncEndpointError();
+    SyncModule.setEndpoint(url);
+    runSync();
+  }
 
-    // Validate description if not empty
-    if (taskDesc && !TasksModule.validateDescription(taskDesc)) {
-      DomModule.showDescriptionError();
+  /**
+   * Handles the "Keep mine" / "Keep server's" buttons of a sync conflict.
+   */
+  function handleSyncConflictClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) {
       return;
     }
-
-    // Create or update task
-    if (editingTaskId) {
-      TasksModule.updateTask(
-        editingTaskId,
-        taskName,
-        taskCategory,
-        taskPriority,
-        taskDueDate,
-        taskDesc
-      );
-    } else {
-      TasksModule.addTask(
-        taskName,
-        taskCategory,
-        taskPriority,
-        taskDueDate,
-        taskDesc
-      );
+    const taskId = Number(
+      button.closest("[data-task-id]").getAttribute("data-task-id")
+    );
+    const keep =
+      button.getAttribute("data-action") === "keep-local" ? "local" : "remote";
+    if (!TasksModule.resolveSyncConflict(taskId, keep)) {
+      DomModule.showToast("The server's copy is not a valid task; keep yours");
+      return;
     }
-
-    // Reset form and return to task list view
-    DomModule.resetForm();
-    DomModule.showTaskListView();
     DomModule.displayTasks();
     DomModule.updateCategoryFilter();
-    resetEditState();
+    runSync();
   }
 
   /**
-   * Loads a task's data into the form for editing.
+   * Re-renders after another tab changed tasks, categories or lists, and warns
+   * when the task open in the form was one of them.
    */
-  function editTask(taskId) {
-    const taskToEdit = TasksModule.getTaskById(taskId);
-    if (!taskToEdit) {
-      return;
+  function handleOtherTabChange({ taskIds, categoriesChanged, listsChanged }) {
+    if (listsChanged) {
+      refreshLists();
+    }
+    DomModule.displayTasks();
+    DomModule.updateCategoryFilter();
+    if (categoriesChanged) {
+      DomModule.updateCategorySelect();
+      if (DomModule.isCategoryManagerVisible()) {
+        DomModule.renderCategoryManager();
+      }
     }
 
-    TasksModule.setEditingTaskId(taskId);
-    DomModule.setSubmitButtonText("Save Changes");
-    DomModule.showTaskFormView();
-    DomModule.updateCategorySelect();
-    DomModule.populateFormWithTask(taskToEdit);
-  }
+    DomModule.renderArchiveView();
+    DomModule.renderTrashView();
 
-  /**
-   * Removes a task and refreshes the display.
-   */
-  function deleteTask(taskId) {
-    TasksModule.removeTask(taskId);
-    DomModule.displayTasks();
+    const editingTaskId = TasksModule.getEditingTaskId();
+    if (editingTaskId && taskIds.includes(editingTaskId)) {
+      DomModule.showTaskChangedWarning(!isEditableTask(editingTaskId));
+    }
   }
 
   /**
-   * Toggles the sort order and refreshes the display.
+   * Reloads the edited task's latest version into the form.
    */
-  function toggleSortOrder() {
-    TasksModule.toggleSortAscending();
-    DomModule.updateSortButtonText();
-    DomModule.displayTasks();
+  function handleReloadEditedTask() {
+    editTask(TasksModule.getEditingTaskId());
   }
 
   /**
-   * Starts the countdown refresh interval.
+   * Registers the service worker that keeps the app working offline, and
+   * offers to reload when a new version has been installed.
    */
-  function startCountdownRefresh() {
-    if (countdownIntervalId) {
-      clearInterval(countdownIntervalId);
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) {
+      return;
     }
 
-    countdownIntervalId = setInterval(function () {
-      DomModule.refreshTaskStatuses();
-    }, 60000);
+    let isUpdateAccepted = false;
+    const promptForUpdate = (worker) => {
+      DomModule.showToast(
+        "A new version is available",
+        "Reload",
+        () => {
+          isUpdateAccepted = true;
+          worker.postMessage({ type: "SKIP_WAITING" });
+        },
+        null
+      );
+    };
 
-    DomModule.refreshTaskStatuses();
+    // The new version took over after "Reload"; load its files
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (isUpdateAccepted) {
+        window.location.reload();
+      }
+    });
+
+    navigator.serviceWorker
+      .register("sw.js")
+      .then((registration) => {
+        // An update may already be waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          promptForUpdate(registration.waiting);
+        }
+        registration.addEventListener("updatefound", () => {
+          const worker = registration.installing;
+          worker.addEventListener("statechange", () => {
+            // Without a controller this is the first install, not an update
+            if (
+              worker.state === "installed" &&
+              navigator.serviceWorker.controller
+            ) {
+              promptForUpdate(worker);
+            }
+          });
+        });
+      })
+      .catch((error) => {
+        console.error("Service worker registration failed:", error);
+      });
   }
 
   /**
    * Initializes the application.
    */
-  function initializeApp() {
+  async function initializeApp() {
+    await TasksModule.hydrate();
+    if (TasksModule.getLoadError()) {
+      DomModule.showLoadError(TasksModule.getLoadError());
+    }
+    TasksModule.processRecurrences();
+    TasksModule.archiveCompletedTasks();
+    TasksModule.purgeExpiredTrash();
+    // A filter in the URL (e.g. a shared link) replaces the list's saved one
+    if (window.location.search) {
+      TasksModule.setFilter(
+        TasksModule.filterFromSearchParams(
+          new URLSearchParams(window.location.search)
+        )
+      );
+    }
+    DomModule.updateCategoryFilter();
+    DomModule.updateListSelects();
+    showActiveListFilter();
+    DomModule.updateSortControls();
     DomModule.displayTasks();
     startCountdownRefresh();
+    registerServiceWorker();
+    startSyncRefresh();
+    TasksModule.listenForOtherTabs(handleOtherTabChange);
 
     // Set up event listeners
     DomModule.addTaskBtn.addEventListener("click", handleAddTaskClick);
+    DomModule.newCategoryBtn.addEventListener("click", handleNewCategoryClick);
+    DomModule.newCategoryInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        handleNewCategoryClick();
+      }
+    });
+    DomModule.manageCategoriesBtn.addEventListener(
+      "click",
+      DomModule.showCategoryManagerView
+    );
+    DomModule.categoryAddBtn.addEventListener("click", handleCategoryAddClick);
+    DomModule.categoryTableBody.addEventListener(
+      "click",
+      handleCategoryTableClick
+    );
+    DomModule.confirmCategoryDeleteBtn.addEventListener(
+      "click",
+      handleConfirmCategoryDelete
+    );
+    DomModule.cancelCategoryDeleteBtn.addEventListener(
+      "click",
+      DomModule.hideCategoryDeletePanel
+    );
+    DomModule.closeCategoryManagerBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
+    DomModule.listSwitcher.addEventListener("change", handleListSwitcherChange);
+    DomModule.manageListsBtn.addEventListener(
+      "click",
+      DomModule.showListManagerView
+    );
+    DomModule.listAddBtn.addEventListener("click", handleListAddClick);
+    DomModule.listAddName.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        handleListAddClick();
+      }
+    });
+    DomModule.listTableBody.addEventListener("click", handleListTableClick);
+    DomModule.confirmListDeleteBtn.addEventListener(
+      "click",
+      handleConfirmListDelete
+    );
+    DomModule.cancelListDeleteBtn.addEventListener(
+      "click",
+      DomModule.hideListDeletePanel
+    );
+    DomModule.closeListManagerBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
+    DomModule.taskListSelect.addEventListener("change", handleTaskNameBlur);
+    DomModule.timeReportBtn.addEventListener(
+      "click",
+      DomModule.showTimeReportView
+    );
+    DomModule.timeReportFrom.addEventListener(
+      "change",
+      DomModule.renderTimeReport
+    );
+    DomModule.timeReportTo.addEventListener(
+      "change",
+      DomModule.renderTimeReport
+    );
+    DomModule.closeTimeReportBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
+    DomModule.dashboardBtn.addEventListener(
+      "click",
+      DomModule.showDashboardView
+    );
+    DomModule.closeDashboardBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
+    DomModule.archiveBtn.addEventListener("click", DomModule.showArchiveView);
+    DomModule.archiveSearch.addEventListener(
+      "input",
+      DomModule.renderArchiveView
+    );
+    DomModule.archiveAfterDays.addEventListener(
+      "change",
+      handleArchiveAfterDaysChange
+    );
+    DomModule.archiveList.addEventListener("click", handleArchiveListClick);
+    DomModule.closeArchiveBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
+    DomModule.trashBtn.addEventListener("click", DomModule.showTrashView);
+    DomModule.trashRetentionDays.addEventListener(
+      "change",
+      handleTrashRetentionDaysChange
+    );
+    DomModule.emptyTrashBtn.addEventListener("click", handleEmptyTrash);
+    DomModule.trashList.addEventListener("click", handleTrashListClick);
+    DomModule.closeTrashBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
+    DomModule.syncBtn.addEventListener("click", DomModule.showSyncView);
+    DomModule.saveSyncEndpointBtn.addEventListener(
+      "click",
+      handleSaveSyncEndpoint
+    );
+    DomModule.syncNowBtn.addEventListener("click", runSync);
+    DomModule.syncConflicts.addEventListener("click", handleSyncConflictClick);
+    DomModule.closeSyncBtn.addEventListener(
+      "click",
+      DomModule.showTaskListView
+    );
     DomModule.cancelBtn.addEventListener("click", handleCancelClick);
     DomModule.taskForm.addEventListener("submit", handleFormSubmit);
+    DomModule.reloadEditedTaskBtn.addEventListener(
+      "click",
+      handleReloadEditedTask
+    );
+    DomModule.quickAddForm.addEventListener("submit", handleQuickAddSubmit);
+    DomModule.quickAddInput.addEventListener("input", handleQuickAddInput);
     DomModule.taskNameInput.addEventListener("blur", handleTaskNameBlur);
     DomModule.taskDescriptionInput.addEventListener(
       "blur",
       handleDescriptionBlur
     );
-    DomModule.categoryFilter.addEventListener("change", DomModule.displayTasks);
-    DomModule.sortByDueDateBtn.addEventListener("click", toggleSortOrder);
+    DomModule.taskRepeat.addEventListener(
+      "change",
+      DomModule.updateRepeatFields
+    );
+    DomModule.checklistItems.addEventListener("click", handleChecklistClick);
+    DomModule.checklistAddBtn.addEventListener(
+      "click",
+      DomModule.addChecklistItemFromInput
+    );
+    DomModule.checklistNewItem.addEventListener(
+      "keydown",
+      handleChecklistNewItemKeydown
+    );
+    DomModule.taskTagList.addEventListener("click", handleTagEditorClick);
+    DomModule.taskTagAddBtn.addEventListener(
+      "click",
+      DomModule.addTagsFromInput
+    );
+    DomModule.taskTagInput.addEventListener("keydown", handleTagInputKeydown);
+    DomModule.searchInput.addEventListener("input", () =>
+      applyFilterChange({ text: DomModule.searchInput.value })
+    );
+    DomModule.categoryFilter.addEventListener("click", handleCategoryChipClick);
+    DomModule.priorityFilter.addEventListener("click", handlePriorityChipClick);
+    DomModule.tagFilter.addEventListener("click", handleTagChipClick);
+    DomModule.taskList.addEventListener("click", handleTaskListClick);
+    [DomModule.taskList, DomModule.taskBoard, DomModule.taskCalendar].forEach(
+      (container) => container.addEventListener("click", handleTaskActionClick)
+    );
+    DomModule.selectAllTasks.addEventListener("change", handleSelectAllChange);
+    DomModule.bulkActions.addEventListener("click", handleBulkActionClick);
+    DomModule.tagMatchMode.addEventListener("change", () =>
+      applyFilterChange({ tagMode: DomModule.tagMatchMode.value })
+    );
+    DomModule.dueFromFilter.addEventListener("change", () =>
+      applyFilterChange({ dueFrom: DomModule.dueFromFilter.value })
+    );
+    DomModule.dueToFilter.addEventListener("change", () =>
+      applyFilterChange({ dueTo: DomModule.dueToFilter.value })
+    );
+    DomModule.readyOnlyFilter.addEventListener("change", () =>
+      applyFilterChange({ readyOnly: DomModule.readyOnlyFilter.checked })
+    );
+    DomModule.taskDependsOn.addEventListener(
+      "change",
+      DomModule.updateDependencyWarning
+    );
+    DomModule.taskDueDateInput.addEventListener(
+      "change",
+      DomModule.updateDependencyWarning
+    );
+    DomModule.overdueOnlyFilter.addEventListener("change", () =>
+      applyFilterChange({ overdueOnly: DomModule.overdueOnlyFilter.checked })
+    );
+    DomModule.completionFilter.addEventListener("change", () =>
+      applyFilterChange({ completion: DomModule.completionFilter.value })
+    );
+    DomModule.clearFiltersBtn.addEventListener("click", handleClearFilters);
+    DomModule.displayModeToggle.addEventListener(
+      "click",
+      handleDisplayModeClick
+    );
+    DomModule.boardGroupBy.addEventListener("change", handleBoardGroupByChange);
+    [DomModule.taskBoard, DomModule.taskCalendar].forEach((container) => {
+      container.addEventListener("dragstart", handleTaskDragStart);
+      container.addEventListener("dragover", handleTaskDragOver);
+      container.addEventListener("dragleave", handleTaskDragLeave);
+    });
+    DomModule.taskBoard.addEventListener("drop", handleBoardDrop);
+    DomModule.taskCalendar.addEventListener("drop", handleCalendarDrop);
+    DomModule.calendarControls.addEventListener(
+      "click",
+      handleCalendarControlsClick
+    );
+    DomModule.sortPrimaryKey.addEventListener("change", handleSortChange);
+    DomModule.sortSecondaryKey.addEventListener("change", handleSortChange);
+    DomModule.sortPrimaryDirection.addEventListener(
+      "click",
+      handleSortDirectionClick
+    );
+    DomModule.sortSecondaryDirection.addEventListener(
+      "click",
+      handleSortDirectionClick
+    );
+    DomModule.exportJsonBtn.addEventListener("click", handleExportJson);
+    DomModule.exportCsvBtn.addEventListener("click", handleExportCsv);
+    DomModule.exportIcsEventsBtn.addEventListener("click", () =>
+      handleExportIcs("VEVENT")
+    );
+    DomModule.exportIcsTodosBtn.addEventListener("click", () =>
+      handleExportIcs("VTODO")
+    );
+    DomModule.importFileInput.addEventListener(
+      "change",
+      handleImportFileChange
+    );
+    DomModule.confirmImportBtn.addEventListener("click", handleConfirmImport);
+    DomModule.cancelImportBtn.addEventListener("click", handleCancelImport);
+    DomModule.updateNotificationButton();
+    DomModule.enableNotificationsBtn.addEventListener(
+      "click",
+      handleEnableNotifications
+    );
+    DomModule.undoBtn.addEventListener("click", undoLastChange);
+    DomModule.redoBtn.addEventListener("click", redoLastChange);
+    document.addEventListener("keydown", handleHistoryShortcut);
+    document.addEventListener("keydown", handleKeyboardShortcut);
+    DomModule.commandPaletteInput.addEventListener(
+      "input",
+      handleCommandPaletteInput
+    );
+    DomModule.commandPaletteInput.addEventListener(
+      "keydown",
+      handleCommandPaletteKeydown
+    );
+    DomModule.commandPalette.addEventListener(
+      "click",
+      handleCommandPaletteClick
+    );
+    DomModule.shortcutHelp.addEventListener("click", handleShortcutHelpClick);
+    DomModule.shortcutHelpBtn.addEventListener("click", () =>
+      DomModule.toggleShortcutHelp(true)
+    );
+    DomModule.closeShortcutHelpBtn.addEventListener("click", () =>
+      DomModule.toggleShortcutHelp(false)
+    );
   }
 
   // Return public API
   return {
     editTask,
     deleteTask,
+    toggleTaskCompleted,
+    toggleTimer,
+    undoLastChange,
+    redoLastChange,
     initializeApp,
   };
 })();
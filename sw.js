@@ -0,0 +1,107 @@
+/* ============================================================
+   SERVICE WORKER
+   Caches the app shell (including Bootstrap from the CDN) so the
+   task list opens without a connection
+   ============================================================ */
+
+// Bump on every release so clients install the new files and see the
+// "new version available" prompt
+const CACHE_VERSION = "v19";
+const CACHE_NAME = `task-manager-${CACHE_VERSION}`;
+
+// Same-origin files of the app shell
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "script.js",
+  "styles.css",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+];
+
+// Bootstrap assets loaded by index.html (keep the versions in sync)
+const CDN_ASSETS = [
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js",
+];
+
+/**
+ * Pre-caches the app shell. CDN files are fetched in CORS mode so the
+ * cached copies still pass the integrity checks in index.html.
+ */
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll([
+          ...APP_SHELL,
+          ...CDN_ASSETS.map((url) => new Request(url, { mode: "cors" })),
+        ])
+      )
+  );
+});
+
+/**
+ * Removes caches of older versions once this version takes over.
+ */
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) => key.startsWith("task-manager-") && key !== CACHE_NAME
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Activates a waiting version when the page asks for it (after the user
+ * accepts the update prompt).
+ */
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Serves the app shell from the cache, falling back to the network.
+ * Page loads (with any filter query string) get the cached index.html.
+ * Other requests go straight to the network.
+ */
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") {
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches.match("index.html").then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  const url = new URL(request.url);
+  const isShellAsset =
+    CDN_ASSETS.includes(request.url) ||
+    (url.origin === self.location.origin &&
+      APP_SHELL.some(
+        (path) => new URL(path, self.location).pathname === url.pathname
+      ));
+  if (isShellAsset) {
+    event.respondWith(
+      caches
+        .match(request, { ignoreSearch: true })
+        .then((cached) => cached || fetch(request))
+    );
+  }
+});